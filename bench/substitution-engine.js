@@ -0,0 +1,72 @@
+import {getReplacementItems, getSubstitutionEdits, applyEdits} from '../src/substitution-engine';
+
+const sizes = [10, 1000, 10000];
+const keystrokes = 5000;
+const paragraph = 'So "omw" -- I said, and then brb... the (c) notice and abbr42 go here; ' +
+  'nothing else to see in this sentence, just more words to type. ';
+
+/**
+ * Creates a user dictionary of the given size, with a few entries that the
+ * paragraph actually uses.
+ */
+function createSubstitutions(size) {
+  let substitutions = [
+    { replace: 'omw', with: 'On my way!' },
+    { replace: 'brb', with: 'Be right back' },
+    { replace: '(c)', with: '©' }
+  ];
+
+  for (let index = substitutions.length; index < size; index++) {
+    substitutions.push({ replace: `abbr${index}`, with: `Abbreviation number ${index}` });
+  }
+
+  return substitutions;
+}
+
+/**
+ * Types characters one at a time, looking for substitutions after each one,
+ * just as the input listener does.
+ */
+function typeCharacters(items, count) {
+  let text = '';
+  let caret = 0;
+
+  for (let index = 0; index < count; index++) {
+    text = text + paragraph[index % paragraph.length];
+    caret = text.length;
+
+    let edits = getSubstitutionEdits(text, caret, items);
+    if (edits.length > 0) ({text, caret} = applyEdits(text, caret, edits));
+
+    // Keep the text from growing without bound, like a chat input that's sent.
+    if (text.length > 1000) text = '';
+  }
+}
+
+function elapsedMilliseconds(start) {
+  let [seconds, nanoseconds] = process.hrtime(start);
+  return seconds * 1e3 + nanoseconds / 1e6;
+}
+
+console.log(`Typing ${keystrokes} characters, with smart quotes and dashes on\n`);
+console.log('entries      compile (ms)   per keystroke (µs)');
+
+for (let size of sizes) {
+  let start = process.hrtime();
+  let items = getReplacementItems({
+    substitutions: createSubstitutions(size),
+    useSmartQuotes: true,
+    useSmartDashes: true,
+    locale: 'en'
+  });
+  getSubstitutionEdits('', 0, items);
+  let compile = elapsedMilliseconds(start);
+
+  typeCharacters(items, 500);
+
+  start = process.hrtime();
+  typeCharacters(items, keystrokes);
+  let perKeystroke = elapsedMilliseconds(start) * 1e3 / keystrokes;
+
+  console.log(`${String(size).padEnd(13)}${compile.toFixed(1).padEnd(15)}${perKeystroke.toFixed(1)}`);
+}
@@ -0,0 +1 @@
+module.exports = require('./lib/preload');
\ No newline at end of file
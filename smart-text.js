@@ -0,0 +1 @@
+module.exports = require('./lib/smart-text');
\ No newline at end of file
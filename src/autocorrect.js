@@ -0,0 +1,113 @@
+import {Subscription} from 'rxjs/Subscription';
+
+/**
+ * An autocorrect pack maps common misspellings to their corrections, e.g.
+ * `{ teh: 'the' }`. Misspellings are written in lowercase, and match whatever
+ * case is typed: `Teh` becomes `The`.
+ *
+ * @typedef {Object} AutocorrectPack
+ */
+
+/**
+ * The packs that ship with the library, by language. Only misspellings that
+ * aren't words in their own right belong here, since there's no spell checker
+ * to tell them apart.
+ */
+export const builtInAutocorrectPacks = {
+  en: {
+    teh: 'the', hte: 'the', adn: 'and', taht: 'that', waht: 'what', jsut: 'just',
+    whcih: 'which', wich: 'which', knwo: 'know', shoudl: 'should', becuase: 'because',
+    dont: "don't", doesnt: "doesn't", didnt: "didn't", isnt: "isn't", wasnt: "wasn't",
+    arent: "aren't", werent: "weren't", havent: "haven't", hasnt: "hasn't",
+    couldnt: "couldn't", shouldnt: "shouldn't", wouldnt: "wouldn't", cant: "can't",
+    im: "I'm", ive: "I've", youre: "you're", theyre: "they're", thier: 'their',
+    recieve: 'receive', beleive: 'believe', acheive: 'achieve', wierd: 'weird',
+    freind: 'friend', seperate: 'separate', definately: 'definitely', occured: 'occurred',
+    untill: 'until', alot: 'a lot', tommorow: 'tomorrow', goverment: 'government',
+    enviroment: 'environment', accomodate: 'accommodate', begining: 'beginning',
+    neccessary: 'necessary', occassion: 'occasion', publically: 'publicly',
+    recomend: 'recommend', truely: 'truly', existance: 'existence', calender: 'calendar',
+    embarass: 'embarrass'
+  },
+  de: {
+    nciht: 'nicht', udn: 'und', dsa: 'das', vieleicht: 'vielleicht', wiederrum: 'wiederum',
+    standart: 'standard', seperat: 'separat', garnicht: 'gar nicht', nähmlich: 'nämlich',
+    addresse: 'adresse', agressiv: 'aggressiv', ziehmlich: 'ziemlich', dannach: 'danach',
+    entgültig: 'endgültig', rythmus: 'rhythmus', wiederspiegeln: 'widerspiegeln'
+  },
+  fr: {
+    parceque: 'parce que', quelquechose: 'quelque chose', malgrés: 'malgré',
+    developpement: 'développement', deja: 'déjà', voila: 'voilà', bientot: 'bientôt',
+    plutot: 'plutôt', peutetre: 'peut-être', aujourdhui: "aujourd'hui", cest: "c'est"
+  },
+  es: {
+    tambien: 'también', despues: 'después', porfavor: 'por favor', atravez: 'a través',
+    ademas: 'además', dificil: 'difícil', facil: 'fácil', nesesario: 'necesario',
+    telefono: 'teléfono', musica: 'música', rapido: 'rápido'
+  }
+};
+
+let addedAutocorrectPacks = [];
+
+/**
+ * Adds entries to the autocorrect pack for a language (e.g., `en`) or a
+ * locale (e.g., `en-GB`). They take precedence over the built-in entries, and
+ * a correction of `null` removes a built-in one. Elements pick up the change
+ * the next time their replacement items are updated, so add entries before
+ * calling `performTextSubstitution`.
+ *
+ * @param  {String} locale                The language or locale the entries are for
+ * @param  {AutocorrectPack} entries      Misspellings and their corrections
+ * @return {Subscription}                 A `Subscription` that will remove the entries
+ */
+export function addAutocorrectEntries(locale, entries) {
+  if (!locale) throw new Error(`A language or locale is required`);
+
+  let pack = { key: normalizeLocale(locale), entries };
+  addedAutocorrectPacks.push(pack);
+
+  return new Subscription(() => {
+    addedAutocorrectPacks = addedAutocorrectPacks.filter((added) => added !== pack);
+  });
+}
+
+/**
+ * Returns the autocorrect entries for a locale as text substitutions that
+ * match any case. The language's pack is used first, then the locale's own,
+ * then anything added with `addAutocorrectEntries`, each taking precedence
+ * over the last. Languages without a pack get no entries.
+ *
+ * @param  {String} locale                    A locale identifier, like `en-US` or `fr_CA`
+ * @param  {Array<String>} exclusions         Misspellings that shouldn't be corrected
+ * @return {Array<TextSubstitution>}          The autocorrect substitutions
+ */
+export function getAutocorrectSubstitutions(locale = 'en', exclusions = []) {
+  let key = normalizeLocale(locale);
+  let [language] = key.split('-');
+  let keys = language === key ? [language] : [language, key];
+
+  let corrections = {};
+  let addEntries = (entries) => {
+    for (let misspelling of Object.keys(entries || {})) {
+      corrections[misspelling.toLowerCase()] = entries[misspelling];
+    }
+  };
+
+  for (let packKey of keys) addEntries(builtInAutocorrectPacks[packKey]);
+  for (let packKey of keys) {
+    addedAutocorrectPacks.filter((pack) => pack.key === packKey).forEach((pack) => addEntries(pack.entries));
+  }
+
+  let excluded = new Set(exclusions.map((exclusion) => exclusion.toLowerCase()));
+
+  return Object.keys(corrections)
+    .filter((misspelling) => corrections[misspelling] && !excluded.has(misspelling))
+    .map((misspelling) => ({ replace: misspelling, with: corrections[misspelling], matchCase: false }));
+}
+
+/**
+ * Turns a locale like `en_GB` into the form packs are keyed by, `en-gb`.
+ */
+function normalizeLocale(locale) {
+  return locale.toLowerCase().replace(/_/g, '-').split('-').slice(0, 2).join('-');
+}
@@ -0,0 +1,161 @@
+/**
+ * A context detector is a method that takes some text and an index within it,
+ * and returns true if that index falls within its context (e.g., a URL). No
+ * substitutions are made in a detected context.
+ *
+ * @typedef {Function} ContextDetector
+ */
+
+const fencePattern = /^\s*(```|~~~)/;
+const urlPattern = /^(?:[a-z][a-z0-9+.-]*:\/\/|www\.|mailto:)/i;
+const emailPattern = /^[^\s@]+@/;
+const leadingPunctuation = /^[(<[{"'`“‘«„]+/;
+
+/**
+ * True if the index is within a markdown code fence, or an inline code span.
+ *
+ * @param  {String} text   The text being edited
+ * @param  {Number} index  The index to check
+ * @return {Bool}          True if the index is within code
+ */
+export function code(text, index) {
+  let lines = text.substring(0, index).split('\n');
+  let currentLine = lines.pop();
+
+  let fences = lines.filter((line) => fencePattern.test(line)).length;
+  if (fences % 2 === 1 || fencePattern.test(currentLine)) return true;
+
+  let backticks = currentLine.replace(/\\`/g, '').split('`').length - 1;
+  return backticks % 2 === 1;
+}
+
+/**
+ * Splits text into runs of markdown code and everything else, in order, by
+ * the same rules as `code`. Joining their `text` gives back the original.
+ *
+ * @param  {String} text    The text to split
+ * @return {Array<Object>}  Each run's `text`, and `code` if it's code
+ */
+export function splitAtCode(text) {
+  let runs = [];
+  let inFence = false;
+
+  text.split('\n').forEach((line, lineIndex, lines) => {
+    let lineRuns = [];
+
+    if (inFence || fencePattern.test(line)) {
+      if (fencePattern.test(line)) inFence = !inFence;
+      lineRuns.push({ text: line, code: true });
+    } else {
+      let start = 0;
+      let spanStart = -1;
+
+      for (let index = 0; index < line.length; index++) {
+        if (line[index] === '\\' && line[index + 1] === '`') {
+          index++;
+        } else if (line[index] === '`' && spanStart < 0) {
+          lineRuns.push({ text: line.substring(start, index), code: false });
+          spanStart = index;
+        } else if (line[index] === '`') {
+          lineRuns.push({ text: line.substring(spanStart, index + 1), code: true });
+          start = index + 1;
+          spanStart = -1;
+        }
+      }
+
+      // NB: An unclosed span runs to the end of the line.
+      lineRuns.push(spanStart < 0 ?
+        { text: line.substring(start), code: false } :
+        { text: line.substring(spanStart), code: true });
+    }
+
+    if (lineIndex < lines.length - 1) lineRuns.push({ text: '\n', code: false });
+    runs.push(...lineRuns.filter((run) => run.text.length > 0));
+  });
+
+  return runs;
+}
+
+/**
+ * True if the index is within a URL.
+ *
+ * @param  {String} text   The text being edited
+ * @param  {Number} index  The index to check
+ * @return {Bool}          True if the index is within a URL
+ */
+export function url(text, index) {
+  return urlPattern.test(getTokenAt(text, index));
+}
+
+/**
+ * True if the index is within an email address.
+ *
+ * @param  {String} text   The text being edited
+ * @param  {Number} index  The index to check
+ * @return {Bool}          True if the index is within an email address
+ */
+export function email(text, index) {
+  return emailPattern.test(getTokenAt(text, index));
+}
+
+/**
+ * True if the index is within an @mention.
+ *
+ * @param  {String} text   The text being edited
+ * @param  {Number} index  The index to check
+ * @return {Bool}          True if the index is within a mention
+ */
+export function mention(text, index) {
+  return getTokenAt(text, index).startsWith('@');
+}
+
+/**
+ * True if the index is within a #hashtag.
+ *
+ * @param  {String} text   The text being edited
+ * @param  {Number} index  The index to check
+ * @return {Bool}          True if the index is within a hashtag
+ */
+export function hashtag(text, index) {
+  return /^#[^\s#]/.test(getTokenAt(text, index));
+}
+
+/**
+ * The built-in context detectors, by name.
+ */
+export const builtInContextDetectors = { code, url, email, mention, hashtag };
+
+/**
+ * Returns the context detectors to use.
+ *
+ * @param  {Array<String>} {suppressIn        The names of the built-in detectors to use;
+ *                                            defaults to all of them
+ * @param  {Array<ContextDetector>} contextDetectors}  Additional detectors to use
+ * @return {Array<ContextDetector>}           The context detectors
+ */
+export function getContextDetectors({suppressIn = Object.keys(builtInContextDetectors), contextDetectors = []} = {}) {
+  let builtIn = suppressIn.map((name) => {
+    if (!builtInContextDetectors[name]) throw new Error(`Unknown context: ${name}`);
+    return builtInContextDetectors[name];
+  });
+
+  return [...builtIn, ...contextDetectors];
+}
+
+/**
+ * Returns the whitespace-delimited token containing the index, without any
+ * leading punctuation, like an opening parenthesis.
+ *
+ * @param  {String} text   The text being edited
+ * @param  {Number} index  The index within the token
+ * @return {String}        The token
+ */
+function getTokenAt(text, index) {
+  let start = index;
+  while (start > 0 && !/\s/.test(text[start - 1])) start--;
+
+  let end = index;
+  while (end < text.length && !/\s/.test(text[end])) end++;
+
+  return text.substring(start, end).replace(leadingPunctuation, '');
+}
@@ -0,0 +1,67 @@
+import {formatExplanation} from './explain';
+import {getOwnerDocument, getOwnerWindow} from './dom-text';
+
+/**
+ * The styles of the overlay; it sits above everything, and never takes input.
+ */
+const overlayStyle = {
+  position: 'absolute',
+  zIndex: '2147483647',
+  margin: '0',
+  padding: '4px 6px',
+  maxWidth: '480px',
+  overflow: 'hidden',
+  font: '11px/1.4 monospace',
+  whiteSpace: 'pre-wrap',
+  color: '#fff',
+  background: 'rgba(0, 0, 0, 0.8)',
+  borderRadius: '3px',
+  pointerEvents: 'none'
+};
+
+/**
+ * @typedef {Object} DevOverlay
+ * @property {Function} show    Shows an `Explanation` next to the given element
+ * @property {Function} hide    Hides the overlay
+ * @property {Function} remove  Removes the overlay from the document
+ */
+
+/**
+ * Creates an overlay that shows why substitutions did or didn't happen, next
+ * to the field being edited. It's meant for development, and isn't shown
+ * until there's something to explain.
+ *
+ * @param  {Node} root        The element or document the overlay is for
+ * @return {DevOverlay}       The overlay
+ */
+export function createDevOverlay(root) {
+  const document = getOwnerDocument(root);
+  let overlay = null;
+
+  return {
+    show: (element, explanation) => {
+      if (!overlay) {
+        overlay = document.createElement('pre');
+        overlay.className = 'text-substitutions-dev-overlay';
+        Object.assign(overlay.style, overlayStyle);
+        document.body.appendChild(overlay);
+      }
+
+      let window = getOwnerWindow(element);
+      let {left, bottom} = element.getBoundingClientRect();
+      overlay.style.left = `${left + window.pageXOffset}px`;
+      overlay.style.top = `${bottom + window.pageYOffset + 2}px`;
+      overlay.style.display = '';
+      overlay.textContent = formatExplanation(explanation);
+    },
+
+    hide: () => {
+      if (overlay) overlay.style.display = 'none';
+    },
+
+    remove: () => {
+      if (overlay && overlay.parentNode) overlay.parentNode.removeChild(overlay);
+      overlay = null;
+    }
+  };
+}
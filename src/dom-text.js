@@ -0,0 +1,348 @@
+/**
+ * Stands in for inline nodes that have no text of their own, like images or
+ * mention pills, so that they take up exactly one character.
+ */
+export const objectReplacementCharacter = '\ufffc';
+
+const blockElements = [
+  'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'DD', 'DIV', 'DL', 'DT',
+  'FIELDSET', 'FIGCAPTION', 'FIGURE', 'FOOTER', 'FORM', 'H1', 'H2', 'H3',
+  'H4', 'H5', 'H6', 'HEADER', 'HR', 'LI', 'MAIN', 'NAV', 'OL', 'P', 'PRE',
+  'SECTION', 'TABLE', 'TD', 'TH', 'TR', 'UL'
+];
+
+const atomicElements = [
+  'AUDIO', 'BUTTON', 'CANVAS', 'EMBED', 'IFRAME', 'IMG', 'INPUT', 'OBJECT',
+  'SELECT', 'SVG', 'TEXTAREA', 'VIDEO'
+];
+
+const ignoredElements = ['SCRIPT', 'STYLE', 'TEMPLATE'];
+
+const textInputTypes = ['text', 'search'];
+
+// NB: The same values as the constants on `Node`, which isn't a global
+// outside of a window (e.g., under jsdom).
+const nodeTypes = { element: 1, text: 3, document: 9 };
+const documentPositions = { following: 4, containedBy: 16 };
+
+/**
+ * @typedef {Object} TextSegment
+ * @property {Node} node        The node that produced this text
+ * @property {Number} start     The index where its text starts
+ * @property {Number} end       The index where its text ends
+ * @property {Bool} isText      True if this is a text node, rather than an
+ *                              atomic node or line break
+ */
+
+/**
+ * Returns the document that a node belongs to, which isn't necessarily the
+ * global `document` (e.g., within an iframe or a child window).
+ *
+ * @param  {Node} node    A node, or a document
+ * @return {Document}     The node's document
+ */
+export function getOwnerDocument(node) {
+  return node.nodeType === nodeTypes.document ? node : node.ownerDocument;
+}
+
+/**
+ * Returns the window that a node belongs to.
+ *
+ * @param  {Node} node    A node, or a document
+ * @return {Window}       The node's window, or null if its document has none
+ */
+export function getOwnerWindow(node) {
+  return getOwnerDocument(node).defaultView;
+}
+
+/**
+ * Returns true if the element is an `input` or `textarea`, rather than a
+ * `contenteditable`.
+ *
+ * @param  {Element} element  The element being edited
+ * @return {Bool}             True if the element has a `value`
+ */
+export function isTextField(element) {
+  return element.tagName === 'INPUT' || element.tagName === 'TEXTAREA';
+}
+
+/**
+ * Returns the element whose text would change when the given node is edited:
+ * the node itself if it's a plain text field, or its editing host if it's
+ * within a `contenteditable`. Other kinds of `input`, like passwords or
+ * checkboxes, are left alone.
+ *
+ * @param  {Node} node  The target of an event
+ * @return {Element}    The element being edited, or null if there isn't one
+ */
+export function getEditableElement(node) {
+  let element = node && node.nodeType === nodeTypes.text ? node.parentNode : node;
+  if (!element || element.nodeType !== nodeTypes.element) return null;
+
+  if (element.tagName === 'TEXTAREA') return element;
+  if (element.tagName === 'INPUT') {
+    let type = (element.getAttribute('type') || 'text').toLowerCase();
+    return textInputTypes.includes(type) ? element : null;
+  }
+
+  // NB: The editing host is the outermost editable ancestor, so keep going
+  // until we leave editable content altogether.
+  let host = null;
+  for (let current = element; current && current.nodeType === nodeTypes.element; current = current.parentNode) {
+    let value = current.getAttribute('contenteditable');
+    if (value === 'false') break;
+    if (value !== null) host = current;
+  }
+
+  return host;
+}
+
+/**
+ * Get the string value of Text, Elements, and form elements. Within a
+ * `contenteditable`, line breaks and block elements become newlines, and
+ * atomic inline nodes (like images) become an object replacement character.
+ *
+ * @param  {Element} element  The element whose text will be retrieved
+ * @return {String}           The text value of the element
+ */
+export function getElementText(element) {
+  if (!element) return '';
+  if (isTextField(element)) return element.value;
+  return serializeElement(element).text;
+}
+
+/**
+ * Returns the index of the caret within the element's text. If there is no
+ * caret within a `contenteditable`, it's treated as if it's at the end.
+ *
+ * @param  {Element} element  The element being edited
+ * @return {Number}           The index of the caret
+ */
+export function getCaretIndex(element) {
+  return getTextAndCaret(element).caret;
+}
+
+/**
+ * Returns both the element's text and the index of the caret within it,
+ * serializing a `contenteditable` only once.
+ *
+ * @param  {Element} element  The element being edited
+ * @return {Object}           The `text` and the `caret`
+ */
+export function getTextAndCaret(element) {
+  if (isTextField(element)) return { text: element.value, caret: element.selectionEnd };
+
+  let {text, segments} = serializeElement(element);
+  let selection = getOwnerWindow(element).getSelection();
+
+  if (!selection || selection.rangeCount === 0 || !element.contains(selection.focusNode)) {
+    return { text, caret: text.length };
+  }
+
+  return { text, caret: getTextIndex(segments, text.length, selection.focusNode, selection.focusOffset) };
+}
+
+/**
+ * Returns the start and end of the selection within the element's text. If
+ * there is no selection within a `contenteditable`, it's treated as a caret
+ * at the end.
+ *
+ * @param  {Element} element  The element being edited
+ * @return {Object}           The `startIndex` and `endIndex` of the selection
+ */
+export function getSelectionIndices(element) {
+  if (isTextField(element)) {
+    return { startIndex: element.selectionStart, endIndex: element.selectionEnd };
+  }
+
+  let {text, segments} = serializeElement(element);
+  let selection = getOwnerWindow(element).getSelection();
+
+  if (!selection || selection.rangeCount === 0 || !element.contains(selection.focusNode)) {
+    return { startIndex: text.length, endIndex: text.length };
+  }
+
+  let range = selection.getRangeAt(0);
+  return {
+    startIndex: getTextIndex(segments, text.length, range.startContainer, range.startOffset),
+    endIndex: getTextIndex(segments, text.length, range.endContainer, range.endOffset)
+  };
+}
+
+/**
+ * Sets the selection range of a given input element. If the element is not an
+ * `input` or `textarea`, we need to get into the `Range` game.
+ *
+ * @param  {Element} element    The DOM node where text will be selected
+ * @param  {Number} startIndex  Start index of the selection
+ * @param  {Number} endIndex    End index of the selection
+ */
+export function setSelectionRange(element, startIndex, endIndex) {
+  if (isTextField(element)) {
+    element.selectionStart = startIndex;
+    element.selectionEnd = endIndex;
+    return;
+  }
+
+  let {segments} = serializeElement(element);
+  let range = getOwnerDocument(element).createRange();
+
+  let start = getDomPosition(element, segments, startIndex, true);
+  let end = getDomPosition(element, segments, endIndex, false);
+  range.setStart(start.node, start.offset);
+  range.setEnd(end.node, end.offset);
+
+  let selection = getOwnerWindow(element).getSelection();
+  selection.removeAllRanges();
+  selection.addRange(range);
+}
+
+/**
+ * Replaces the selected text in the element, leaving the caret after the new
+ * text. This edits the DOM directly, rather than through an editing command,
+ * so it isn't added to the undo stack.
+ *
+ * @param  {Element} element  The DOM node where text is being inserted
+ * @param  {String} text      The text to insert
+ */
+export function insertTextAtSelection(element, text) {
+  let {startIndex, endIndex} = getSelectionIndices(element);
+
+  if (isTextField(element)) {
+    element.setRangeText(text, startIndex, endIndex, 'end');
+    return;
+  }
+
+  setSelectionRange(element, startIndex, endIndex);
+  let range = getOwnerWindow(element).getSelection().getRangeAt(0);
+  range.deleteContents();
+  if (text) range.insertNode(getOwnerDocument(element).createTextNode(text));
+
+  element.normalize();
+  setSelectionRange(element, startIndex + text.length, startIndex + text.length);
+}
+
+/**
+ * Flattens a `contenteditable` into text, keeping track of which node each
+ * part of the text came from.
+ *
+ * @param  {Element} root  The element to serialize
+ * @return {Object}        The `text`, along with an array of `TextSegment`s
+ */
+export function serializeElement(root) {
+  let text = '';
+  let segments = [];
+  let pendingNewline = false;
+
+  let startLine = () => {
+    if (text.length > 0 && !text.endsWith('\n')) text += '\n';
+    pendingNewline = false;
+  };
+
+  let append = (node, value, isText) => {
+    if (pendingNewline) startLine();
+    segments.push({ node, start: text.length, end: text.length + value.length, isText });
+    text += value;
+  };
+
+  let visit = (node) => {
+    if (node.nodeType === nodeTypes.text) {
+      if (node.data.length > 0) append(node, node.data, true);
+      return;
+    }
+
+    if (node.nodeType !== nodeTypes.element) return;
+
+    let tagName = node.tagName.toUpperCase();
+    if (ignoredElements.includes(tagName)) return;
+
+    if (tagName === 'BR') {
+      append(node, '\n', false);
+      return;
+    }
+
+    if (node !== root && isAtomic(node, tagName)) {
+      append(node, objectReplacementCharacter, false);
+      return;
+    }
+
+    let isBlock = node !== root && blockElements.includes(tagName);
+    if (isBlock) startLine();
+
+    for (let child of Array.from(node.childNodes)) visit(child);
+
+    if (isBlock) pendingNewline = true;
+  };
+
+  visit(root);
+  return {text, segments};
+}
+
+/**
+ * Returns true if the node should be treated as a single character, rather
+ * than descended into.
+ */
+function isAtomic(node, tagName) {
+  return atomicElements.includes(tagName) || node.getAttribute('contenteditable') === 'false';
+}
+
+/**
+ * Converts a DOM boundary point (e.g., the caret) to an index in the text.
+ *
+ * @param  {Array<TextSegment>} segments    The segments of its text
+ * @param  {Number} length                  The length of its text
+ * @param  {Node} container                 The boundary point's container
+ * @param  {Number} offset                  The boundary point's offset
+ * @return {Number}                         The index in the text
+ */
+function getTextIndex(segments, length, container, offset) {
+  for (let segment of segments) {
+    if (segment.node === container) {
+      return segment.isText ? segment.start + offset : segment.start;
+    }
+  }
+
+  // The point is between children of an element; it sits before the first
+  // segment that follows it.
+  let child = container.childNodes[offset];
+  let follows = (node) => child ?
+    node === child || !!(child.compareDocumentPosition(node) &
+      (documentPositions.following | documentPositions.containedBy)) :
+    !!(container.compareDocumentPosition(node) & documentPositions.following) &&
+      !container.contains(node);
+
+  for (let segment of segments) {
+    if (follows(segment.node)) return segment.start;
+  }
+
+  return length;
+}
+
+/**
+ * Converts an index in the text to a DOM boundary point. At the edge between
+ * two nodes, a start point favors the later one and an end point the earlier
+ * one, so that a range doesn't reach into formatting it doesn't need.
+ *
+ * @param  {Element} root                 The element being edited
+ * @param  {Array<TextSegment>} segments  The segments of its text
+ * @param  {Number} index                 The index in the text
+ * @param  {Bool} isStart                 True if this is the start of a range
+ * @return {Object}                       The `node` and `offset` of the point
+ */
+function getDomPosition(root, segments, index, isStart) {
+  let candidates = segments.filter(({start, end}) => start <= index && index <= end);
+  if (isStart) candidates.reverse();
+
+  let textSegment = candidates.find(({isText}) => isText);
+  if (textSegment) return { node: textSegment.node, offset: index - textSegment.start };
+
+  let segment = candidates[0];
+  if (!segment) return { node: root, offset: root.childNodes.length };
+
+  let {node} = segment;
+  let nodeIndex = Array.prototype.indexOf.call(node.parentNode.childNodes, node);
+  return {
+    node: node.parentNode,
+    offset: index === segment.start ? nodeIndex : nodeIndex + 1
+  };
+}
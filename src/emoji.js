@@ -0,0 +1,105 @@
+/**
+ * The emoji for each shortcode, as typed between colons (e.g., `:smile:`).
+ * Names follow the ones used by Slack and GitHub.
+ */
+export const emojiShortcodes = {
+  smile: '😄', smiley: '😃', grinning: '😀', grin: '😁', laughing: '😆', sweat_smile: '😅',
+  joy: '😂', rofl: '🤣', slightly_smiling_face: '🙂', upside_down_face: '🙃', wink: '😉',
+  blush: '😊', innocent: '😇', heart_eyes: '😍', star_struck: '🤩', kissing_heart: '😘',
+  yum: '😋', stuck_out_tongue: '😛', stuck_out_tongue_winking_eye: '😜', zany_face: '🤪',
+  thinking_face: '🤔', shushing_face: '🤫', zipper_mouth_face: '🤐', raised_eyebrow: '🤨',
+  neutral_face: '😐', expressionless: '😑', no_mouth: '😶', smirk: '😏', unamused: '😒',
+  roll_eyes: '🙄', grimacing: '😬', relieved: '😌', pensive: '😔', sleepy: '😪',
+  sleeping: '😴', mask: '😷', nerd_face: '🤓', sunglasses: '😎', confused: '😕',
+  worried: '😟', slightly_frowning_face: '🙁', open_mouth: '😮', astonished: '😲',
+  flushed: '😳', pleading_face: '🥺', fearful: '😨', cold_sweat: '😰', cry: '😢', sob: '😭',
+  scream: '😱', confounded: '😖', disappointed: '😞', sweat: '😓', weary: '😩',
+  tired_face: '😫', yawning_face: '🥱', triumph: '😤', rage: '😡', angry: '😠',
+  exploding_head: '🤯', partying_face: '🥳', hugging_face: '🤗', face_palm: '🤦',
+  shrug: '🤷', skull: '💀', poop: '💩', clown_face: '🤡', ghost: '👻', alien: '👽',
+  robot_face: '🤖', see_no_evil: '🙈', hear_no_evil: '🙉', speak_no_evil: '🙊',
+
+  wave: '👋', raised_hand: '✋', ok_hand: '👌', v: '✌️', crossed_fingers: '🤞',
+  metal: '🤘', call_me_hand: '🤙', point_left: '👈', point_right: '👉', point_up: '☝️',
+  point_down: '👇', '+1': '👍', '-1': '👎', fist: '✊', punch: '👊', clap: '👏',
+  raised_hands: '🙌', open_hands: '👐', pray: '🙏', handshake: '🤝', muscle: '💪',
+  writing_hand: '✍️', eyes: '👀', brain: '🧠',
+
+  heart: '❤️', orange_heart: '🧡', yellow_heart: '💛', green_heart: '💚', blue_heart: '💙',
+  purple_heart: '💜', black_heart: '🖤', broken_heart: '💔', two_hearts: '💕',
+  sparkling_heart: '💖', hundred: '💯', boom: '💥', sparkles: '✨', star: '⭐', fire: '🔥',
+  zap: '⚡', tada: '🎉', confetti_ball: '🎊', balloon: '🎈', gift: '🎁', trophy: '🏆',
+  medal: '🏅', rocket: '🚀', bulb: '💡', warning: '⚠️', no_entry: '⛔', x: '❌',
+  white_check_mark: '✅', heavy_check_mark: '✔️', question: '❓', exclamation: '❗',
+  zzz: '💤', speech_balloon: '💬', thought_balloon: '💭', bell: '🔔',
+  lock: '🔒', key: '🔑', hammer: '🔨', wrench: '🔧', gear: '⚙️', link: '🔗', pushpin: '📌',
+  memo: '📝', calendar: '📅', email: '📧', phone: '📱', computer: '💻', bug: '🐛',
+  coffee: '☕', beer: '🍺', pizza: '🍕', cake: '🎂', dog: '🐶', cat: '🐱', unicorn: '🦄',
+  sunny: '☀️', cloud: '☁️', umbrella: '☔', snowflake: '❄️', rainbow: '🌈', earth_americas: '🌎'
+};
+
+/**
+ * Other names for the shortcodes above.
+ */
+export const emojiAliases = {
+  thumbsup: '+1', thumbsdown: '-1', satisfied: 'laughing', facepunch: 'punch',
+  hand: 'raised_hand', raised_hand_with_fingers_splayed: 'raised_hand', victory: 'v',
+  thinking: 'thinking_face', face_with_rolling_eyes: 'roll_eyes', hugs: 'hugging_face',
+  facepalm: 'face_palm', red_heart: 'heart', '100': 'hundred', party_popper: 'tada',
+  shit: 'poop', hankey: 'poop', lightning: 'zap', pouting_face: 'rage', email_address: 'email',
+  iphone: 'phone', sun: 'sunny', globe: 'earth_americas', thumbs_up: '+1', thumbs_down: '-1'
+};
+
+/**
+ * The skin tone modifiers, from light (1) to dark (5).
+ */
+export const skinToneModifiers = ['\u{1f3fb}', '\u{1f3fc}', '\u{1f3fd}', '\u{1f3fe}', '\u{1f3ff}'];
+
+const emojiWithSkinTones = [
+  'wave', 'raised_hand', 'ok_hand', 'v', 'crossed_fingers', 'metal', 'call_me_hand', 'point_left',
+  'point_right', 'point_up', 'point_down', '+1', '-1', 'fist', 'punch', 'clap', 'raised_hands',
+  'open_hands', 'pray', 'muscle', 'writing_hand', 'face_palm', 'shrug'
+];
+
+/**
+ * Returns the emoji for a shortcode name (without its colons). A name can
+ * ask for a skin tone with a suffix from `_tone1` to `_tone5`, as in
+ * `wave_tone3`; otherwise the default skin tone is used. Emoji that don't
+ * come in skin tones ignore them.
+ *
+ * @param  {String} name          The shortcode name, or one of its aliases
+ * @param  {Number} {skinTone}    The default skin tone, from 1 to 5
+ * @return {String}               The emoji, or null if the name isn't known
+ */
+export function getEmoji(name, {skinTone} = {}) {
+  let [, baseName, tone = skinTone] = name.toLowerCase().match(/^(.+?)(?:_tone([1-5]))?$/) || [];
+  if (!baseName) return null;
+
+  if (emojiAliases[baseName]) baseName = emojiAliases[baseName];
+  let emoji = emojiShortcodes[baseName];
+  if (!emoji) return null;
+
+  let modifier = skinToneModifiers[tone - 1];
+  if (!modifier || !emojiWithSkinTones.includes(baseName)) return emoji;
+
+  // NB: A skin tone takes the place of the emoji presentation selector.
+  return emoji.replace('\ufe0f', '') + modifier;
+}
+
+/**
+ * Returns the shortcode family for emoji, like `:smile:` or `:+1_tone2:`.
+ *
+ * @param  {Object|Bool} options  The `emojiShortcodes` text preference: `true`, or
+ *                                an object with a default `skinTone`
+ * @return {Shortcode}            The emoji shortcode family
+ */
+export function getEmojiShortcode(options = true) {
+  let skinTone = options === true ? undefined : options.skinTone;
+
+  return {
+    prefix: ':',
+    suffix: ':',
+    name: /[a-z0-9_+-]+/,
+    expand: (name) => getEmoji(name, {skinTone})
+  };
+}
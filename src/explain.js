@@ -0,0 +1,157 @@
+import {getReplacementItems, getSubstitutionEdits, getWordBeforeCaret} from './substitution-engine';
+import {getContextDetectors} from './context-detectors';
+import {applySubstitutionLayers} from './substitution-layers';
+import {getRegisteredShortcodes} from './shortcodes';
+
+/**
+ * The reasons a rule can be skipped, and what each of them means.
+ */
+export const skipReasons = {
+  disabled: 'turned off',
+  identical: 'replaces its text with the same text',
+  'no-match': "doesn't match the text before the caret",
+  'awaiting-trigger': 'waiting for a boundary or trigger key',
+  'not-triggered': "isn't triggered by this boundary or key",
+  prefix: 'the start of a longer rule',
+  context: 'in a context where nothing is substituted',
+  'no-expansion': "doesn't expand to anything",
+  filtered: 'cancelled by a beforesubstitute listener',
+  composition: 'an IME composition is in progress',
+  paste: 'ignored after a paste',
+  undo: 'ignored after an undo or redo',
+  backspace: 'ignored after deleting text'
+};
+
+/**
+ * What became of one rule.
+ *
+ * @typedef {Object} RuleExplanation
+ * @property {String} rule              The text the rule replaces, or the text it matched
+ * @property {String} kind              `user`, `autocorrect`, `shortcode` or `smart`
+ * @property {ReplacementItem} item     The rule's replacement item, or null if it has none
+ *                                      (e.g., because it's turned off)
+ * @property {Bool} matched             True if it matched the text before the caret
+ * @property {Bool} fired               True if it would be substituted
+ * @property {String} reason            Why it wouldn't, from `skipReasons`; null if it would
+ * @property {String} context           For the `context` reason, the name of the context
+ * @property {SubstitutionEdit} edit    The edit it would make, if it matched
+ */
+
+/**
+ * Why substitutions did or didn't happen for some text.
+ *
+ * @typedef {Object} Explanation
+ * @property {String} word                      The text before the caret that rules are matched against
+ * @property {String} state                     Why nothing is substituted right now (`composition`,
+ *                                              `paste`, `undo` or `backspace`), or null
+ * @property {Array<RuleExplanation>} rules     Each rule that might apply, in the order they're tried
+ * @property {Array<SubstitutionEdit>} edits    The edits that would be made
+ */
+
+/**
+ * Explains which rules would be substituted if the given text had just been
+ * typed, and why the others wouldn't be. Rules that don't appear in the word
+ * before the caret at all are left out, as are smart quotes, dashes and
+ * typography unless they match.
+ *
+ * @param  {String} text                        The text being edited
+ * @param  {Number} caret                       The index of the caret within `text`
+ * @param  {Object} options                     Takes the same options as `performTextSubstitution`, and:
+ * @param  {TextPreferences} options.preferences  The text preferences to use
+ * @param  {Array<ReplacementItem>} options.items  The replacement items for those preferences,
+ *                                              if they've already been made
+ * @param  {String} options.key                 A trigger key that was just pressed
+ * @param  {String} options.state               Why the element is ignoring input, if it is
+ * @return {Explanation}                        The explanation
+ */
+export function explain(text, caret = text.length, options = {}) {
+  const {preferences = {}, substitutionLayers = [], shortcodes = [], triggers = {}, key, state = null} = options;
+
+  let merged = applySubstitutionLayers({ substitutions: [], ...preferences }, substitutionLayers);
+  let items = options.items || getReplacementItems({
+    ...merged,
+    shortcodes: [...shortcodes, ...getRegisteredShortcodes()],
+    triggers
+  });
+
+  let word = getWordBeforeCaret(text, caret);
+  let lowerCaseWord = word.toLowerCase();
+  let rules = [];
+
+  // NB: Turned off and identical substitutions never become items, so find
+  // them in the preferences.
+  for (let substitution of merged.substitutions || []) {
+    let reason = substitution.on === false ? 'disabled' :
+      substitution.replace === substitution.with ? 'identical' :
+      null;
+
+    if (reason && lowerCaseWord.includes(substitution.replace.toLowerCase())) {
+      rules.push({ rule: substitution.replace, kind: 'user', item: null, matched: false, fired: false, reason });
+    }
+  }
+
+  let edits = getSubstitutionEdits(text, caret, items, {
+    contextDetectors: getContextDetectors(options),
+    key,
+    trace: ({item, reason, context, edit}) => {
+      let matched = reason !== 'no-match' && reason !== 'not-triggered';
+      if (!matched && !item.match) return;
+
+      if (!matched && isAwaitingTrigger(item, word)) reason = 'awaiting-trigger';
+      if (!reason && state) reason = state;
+
+      rules.push({
+        rule: item.match || (edit ? edit.original : item.regExp.source),
+        kind: getRuleKind(item),
+        item,
+        matched,
+        fired: !reason,
+        reason,
+        context,
+        edit
+      });
+    }
+  });
+
+  return { word, state, rules, edits: state ? [] : edits };
+}
+
+/**
+ * Formats an explanation as lines of text, for logging or the dev overlay.
+ *
+ * @param  {Explanation} explanation  The explanation
+ * @return {String}                   A line for each rule, after one for the word
+ */
+export function formatExplanation({word, state, rules}) {
+  let lines = [`Before the caret: ${JSON.stringify(word)}${state ? ` (${skipReasons[state]})` : ''}`];
+
+  for (let {rule, kind, fired, reason, context, edit} of rules) {
+    let description = fired ?
+      `${JSON.stringify(edit.original)} → ${JSON.stringify(edit.replacement)}` :
+      `${skipReasons[reason]}${context ? ` (${context})` : ''}`;
+
+    lines.push(`${fired ? '✓' : '✗'} ${kind} ${JSON.stringify(rule)}: ${description}`);
+  }
+
+  if (rules.length === 0) lines.push('No rules apply');
+  return lines.join('\n');
+}
+
+/**
+ * Returns true if the word ends with the item's text, so all that's missing
+ * is whatever triggers it.
+ */
+function isAwaitingTrigger({match, matchCase = true}, word) {
+  if (typeof match !== 'string') return false;
+  return matchCase ? word.endsWith(match) : word.toLowerCase().endsWith(match.toLowerCase());
+}
+
+/**
+ * Returns where a replacement item came from.
+ */
+function getRuleKind(item) {
+  if (item.userDictionary) return 'user';
+  if (item.autocorrect) return 'autocorrect';
+  if (item.shortcode) return 'shortcode';
+  return 'smart';
+}
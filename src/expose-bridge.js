@@ -0,0 +1,46 @@
+// A preload script on its own, for the main process to add to sessions (see
+// `listenForPreferenceChanges`), or to pass as a window's `preload`.
+//
+// NB: A sandboxed preload can only require `electron` and a few built-ins, so
+// this mustn't import anything, not even the rest of this package. It's the
+// same bridge as `exposeTextSubstitutionBridge` would expose, and the message
+// names and protocol version must match those in `preference-ipc`.
+const {contextBridge, ipcRenderer} = require('electron');
+
+const packageName = 'electron-text-substitutions';
+const readPreferencesIpcMessage = `${packageName}-read-preferences`;
+const registerForPreferenceChangedIpcMessage = `${packageName}-register-renderer`;
+const unregisterForPreferenceChangedIpcMessage = `${packageName}-unregister-renderer`;
+const preferenceChangedIpcMessage = `${packageName}-preference-changed`;
+const preferenceProtocolVersion = 1;
+const bridgeKey = 'textSubstitutions';
+
+let listenerCount = 0;
+
+const bridge = {
+  readPreferences: () => ipcRenderer.invoke(readPreferencesIpcMessage, preferenceProtocolVersion),
+
+  onPreferencesChanged: (callback) => {
+    const listener = (e, serializedMessage) => callback(serializedMessage);
+    ipcRenderer.on(preferenceChangedIpcMessage, listener);
+
+    if (listenerCount++ === 0) {
+      ipcRenderer.send(registerForPreferenceChangedIpcMessage, preferenceProtocolVersion);
+    }
+
+    let removed = false;
+    return () => {
+      if (removed) return;
+      removed = true;
+
+      ipcRenderer.removeListener(preferenceChangedIpcMessage, listener);
+      if (--listenerCount === 0) ipcRenderer.send(unregisterForPreferenceChangedIpcMessage);
+    };
+  }
+};
+
+if (process.contextIsolated) {
+  contextBridge.exposeInMainWorld(bridgeKey, bridge);
+} else {
+  window[bridgeKey] = bridge;
+}
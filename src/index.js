@@ -1,27 +1,50 @@
-import electron from 'electron';
-import {values, forEach, some} from 'lodash';
-
 import 'rxjs/add/observable/from';
 import 'rxjs/add/observable/fromEvent';
 import 'rxjs/add/operator/mergeMap';
 import 'rxjs/add/operator/debounceTime';
 import {Observable} from 'rxjs/Observable';
+import {Subject} from 'rxjs/Subject';
 import {Subscription} from 'rxjs/Subscription';
-import {readSystemTextPreferences, onPreferenceChanged} from './preference-helpers';
-import {getSubstitutionRegExp, getSmartQuotesRegExp, getSmartDashesRegExp,
-  scrubInputString, formatReplacement, regExpReplacer, regExpReviver} from './regular-expressions';
-import {isUndoRedoEvent, isBackspaceEvent} from './keyboard-utils';
+import {getDefaultPreferenceProvider, getEmptyTextPreferences, createMemoryPreferenceProvider} from './preference-providers';
+import {servePreferences, createPreferenceBridge, parsePreferenceMessage} from './preference-ipc';
+import {applySubstitutionLayers, onSubstitutionLayersChanged} from './substitution-layers';
+import {getReplacementItems} from './substitution-engine';
+import {addInputListener, addDelegatedListener, pasteModes} from './input-listener';
+import {getOwnerWindow} from './dom-text';
+import {getRegisteredShortcodes} from './shortcodes';
+import {createDevOverlay} from './dev-overlay';
+import {observeSubstitutionEvents} from './substitution-events';
 
 const packageName = 'electron-text-substitutions';
 const d = require('debug')(packageName);
 
-const registerForPreferenceChangedIpcMessage = `${packageName}-register-renderer`;
-const unregisterForPreferenceChangedIpcMessage = `${packageName}-unregister-renderer`;
-export const preferenceChangedIpcMessage = `${packageName}-preference-changed`;
-
-let ipcMain, ipcRenderer, systemPreferences;
-let replacementItems = null;
-let registeredWebContents = {};
+export {preferenceChangedIpcMessage, preferenceProtocolVersion, bridgePreloadPath} from './preference-ipc';
+
+export {
+  createSystemPreferenceProvider,
+  createFilePreferenceProvider,
+  createMemoryPreferenceProvider,
+  createBridgePreferenceProvider
+} from './preference-providers';
+
+export {getReplacementItems, getSubstitutionEdits, substituteRange, applyEdits,
+  invertEdits} from './substitution-engine';
+export {beforeSubstituteEvent, substitutedEvent} from './substitution-events';
+export {getContextDetectors, builtInContextDetectors} from './context-detectors';
+export {createSubstitutionLayer, mergeSubstitutions} from './substitution-layers';
+export {expandSnippet, registerSnippetToken, builtInSnippetTokens} from './snippets';
+export {parseSubstitutions, serializeSubstitutions, getSubstitutionFormat,
+  substitutionFormats} from './substitution-formats';
+export {smartify, dumbify} from './smart-text';
+export {builtInAutocorrectPacks, addAutocorrectEntries, getAutocorrectSubstitutions} from './autocorrect';
+export {registerShortcode} from './shortcodes';
+export {boundarySets, triggerKeys} from './regular-expressions';
+export {getEmoji, emojiShortcodes, emojiAliases} from './emoji';
+export {getSubstitutionHistory, undoLastSubstitution, revertAll} from './input-listener';
+export {explain, formatExplanation, skipReasons} from './explain';
+
+let ipcMain, ipcRenderer, ipcBridge;
+let textPreferences = null;
 
 /**
  * Adds an `input` event listener to the given element (an <input> or
@@ -31,335 +54,272 @@ let registeredWebContents = {};
  * In addition, this method will listen for changes to `NSUserDefaults` and
  * update accordingly.
  *
+ * To use text preferences from somewhere other than `NSUserDefaults`, pass a
+ * `preferenceProvider`. It will be read directly and its changes observed in
+ * this process, rather than waiting for notifications from the main process.
+ *
+ * Outside of an Electron renderer, like in tests under jsdom, pass either
+ * `preferenceOverrides` or a `preferenceProvider`; see `testing` for helpers
+ * that simulate typing.
+ *
+ * The element can be in a same-origin iframe or a child window; its own
+ * document and window are used, and everything is cleaned up when its window
+ * goes away.
+ *
+ * The returned `Subscription` has an `events` property, an `Observable` of
+ * `SubstitutionEvent`s. A `beforesubstitute` event is emitted synchronously
+ * before each substitution, and can cancel or rewrite it; a `substituted`
+ * event follows once it's been made. What a handler throws is logged.
+ *
  * @param  {EventTarget} element          The DOM node to listen to; should fire the `input` event
  * @param  {Object} preferenceOverrides   Used to override text preferences in testing
+ * @param  {Object} options
+ * @param  {Object} options.preferenceProvider  A `PreferenceProvider` to read text preferences from
+ * @param  {Bool}   options.revertOnBackspace   True to restore the original text when backspace
+ *                                              is pressed immediately after a substitution
+ * @param  {Array<String>} options.suppressIn   Contexts where no substitutions are made: any of
+ *                                              `code`, `url`, `email`, `mention` and `hashtag`
+ *                                              (all of them, by default)
+ * @param  {Array<ContextDetector>} options.contextDetectors  Additional contexts to suppress
+ * @param  {Array<SubstitutionLayer>} options.substitutionLayers  Substitutions to merge over the
+ *                                              user's own, highest precedence first
+ * @param  {Object} options.snippetVariables   Values (or methods that return them) for
+ *                                              tokens in snippets, like `${customerName}`
+ * @param  {String} options.pasteMode          `smart` to apply smart quotes, dashes and typography
+ *                                              to pasted text, or `all` to apply the user's own
+ *                                              substitutions too; hold shift to paste as-is
+ * @param  {Array<Shortcode>} options.shortcodes  Shortcode families to expand in this element, in
+ *                                              addition to any registered with `registerShortcode`
+ * @param  {ExpansionTriggers} options.triggers  What triggers the user's own substitutions and
+ *                                              autocorrect: which boundary characters, and whether
+ *                                              tab or enter do; each substitution can override them
+ * @param  {Bool}   options.devOverlay          True to show why text was or wasn't substituted
+ *                                              under the field being edited, while developing
  *
  * @return {Subscription}                   A `Subscription` that will clean up everything this method did
  */
-export default function performTextSubstitution(element, preferenceOverrides = null) {
+export default function performTextSubstitution(element, preferenceOverrides = null, options = {}) {
   if (!element || !element.addEventListener) throw new Error(`Element is null or not an EventTarget`);
-  if (!process || process.type !== 'renderer') throw new Error(`Not in an Electron renderer context`);
-  if (process.platform !== 'darwin') throw new Error(`Only supported on macOS`);
-
-  ipcRenderer = ipcRenderer || electron.ipcRenderer;
-  systemPreferences = systemPreferences || electron.remote.systemPreferences;
-
-  if (!systemPreferences || !systemPreferences.getUserDefault) {
-    throw new Error(`Electron ${process.versions.electron} is not supported`);
+  if (!options.preferenceProvider && !preferenceOverrides && !isElectronRenderer()) {
+    throw new Error(`Not in an Electron renderer context`);
   }
 
-  ipcRenderer.send(registerForPreferenceChangedIpcMessage);
-
-  const unloadListener = () => {
-    d(`Window unloading, unregister any listeners`);
-    ipcRenderer.send(unregisterForPreferenceChangedIpcMessage);
-  };
-
-  window.addEventListener('beforeunload', unloadListener);
+  return attachListener(element, preferenceOverrides, options, addInputListener);
+}
 
-  if (preferenceOverrides) {
-    replacementItems = getReplacementItems(preferenceOverrides);
-  } else if (!replacementItems) {
-    replacementItems = getReplacementItems(readSystemTextPreferences());
+/**
+ * Performs text substitution on every `input`, `textarea` and
+ * `contenteditable` within the given root, including any added later. Events
+ * are handled as they reach the root, so there's nothing to attach or clean up
+ * as elements come and go. Every element shares one set of replacement items,
+ * and the renderer registers for preference changes only once.
+ *
+ * Mark an element (or any ancestor) with `data-text-substitutions="off"` to
+ * leave it alone, or `data-text-substitutions="on"` to turn substitution back
+ * on within an element that's off. With the `optIn` option, only elements
+ * marked `on` are substituted.
+ *
+ * @param  {EventTarget} root             The container to listen to; defaults to the `document`
+ * @param  {Object} options               Takes the same options as `performTextSubstitution`, and:
+ * @param  {Object} options.preferenceOverrides  Used to override text preferences in testing
+ * @param  {Bool}   options.optIn         True to only substitute within elements marked `on`
+ *
+ * @return {Subscription}                 A `Subscription` that will clean up everything this method did
+ */
+export function performTextSubstitutionWithin(root = document, options = {}) {
+  if (!root || !root.addEventListener) throw new Error(`Root is null or not an EventTarget`);
+  const {preferenceOverrides = null} = options;
+  if (!options.preferenceProvider && !preferenceOverrides && !isElectronRenderer()) {
+    throw new Error(`Not in an Electron renderer context`);
   }
 
-  let currentAttach = addInputListener(element, replacementItems);
+  return attachListener(root, preferenceOverrides, options, addDelegatedListener);
+}
 
-  const preferenceChangedListener = (serializedItems) => {
-    d(`User modified text preferences, reattaching listener`);
-    replacementItems = JSON.parse(serializedItems, regExpReviver);
+/**
+ * Keeps track of the current replacement items, and adds a listener that
+ * uses them to the given target.
+ *
+ * @param  {EventTarget} target           The DOM node to listen to
+ * @param  {Object} preferenceOverrides   Used in place of the user's preferences
+ * @param  {Object} options               The options passed to `performTextSubstitution`
+ * @param  {Function} addListener         Adds the listener, given the target, a method
+ *                                        that returns the current items, and options
+ * @return {Subscription}                 A `Subscription` that will clean up everything this method did
+ */
+function attachListener(target, preferenceOverrides, options, addListener) {
+  const {substitutionLayers = [], pasteMode = 'plain', shortcodes = [], triggers = {}} = options;
+  if (!pasteModes.includes(pasteMode)) throw new Error(`Unknown paste mode: ${pasteMode}`);
+
+  const events = new Subject();
+
+  // NB: Preferences may arrive asynchronously; until then, there are none.
+  let currentPreferences = getEmptyTextPreferences();
+  let currentItems = [];
+
+  const updateItems = () => {
+    currentItems = getReplacementItems({
+      ...applySubstitutionLayers(currentPreferences, substitutionLayers),
+      shortcodes: [...shortcodes, ...getRegisteredShortcodes()],
+      triggers
+    });
+  };
 
-    currentAttach.unsubscribe();
-    currentAttach = addInputListener(element, replacementItems);
+  const updatePreferences = (newPreferences) => {
+    currentPreferences = newPreferences;
+    updateItems();
   };
 
-  ipcRenderer.on(preferenceChangedIpcMessage, preferenceChangedListener);
+  const ret = new Subscription();
 
-  return new Subscription(() => {
-    d(`Unsubscribing all listeners for ${element.id}`);
-    currentAttach.unsubscribe();
-    ipcRenderer.removeListener(preferenceChangedIpcMessage, preferenceChangedListener);
-    window.removeEventListener('beforeunload', unloadListener);
-  });
-}
+  // NB: Outside of Electron (e.g., under jsdom), overrides are all there is.
+  let preferenceProvider = options.preferenceProvider ||
+    (!isElectronRenderer() && createMemoryPreferenceProvider(preferenceOverrides));
 
-/**
- * Subscribes to text preference changed notifications and notifies listeners
- * in renderer processes. This method must be called from the main process, and
- * should be called before any renderer process calls `performTextSubstitution`.
- *
- * @return {Subscription}  A `Subscription` that will clean up everything this method did
- */
-export function listenForPreferenceChanges() {
-  if (!process || process.type !== 'browser') throw new Error(`Not in an Electron browser context`);
-  if (process.platform !== 'darwin') throw new Error(`Only supported on macOS`);
+  ret.add(preferenceProvider ?
+    observeProviderPreferences(preferenceOverrides, preferenceProvider, updatePreferences) :
+    observeIpcPreferences(preferenceOverrides, updatePreferences));
 
-  ipcMain = ipcMain || electron.ipcMain;
-  systemPreferences = systemPreferences || electron.systemPreferences;
+  ret.add(onSubstitutionLayersChanged(substitutionLayers, () => {
+    d(`A substitution layer changed, updating replacement items`);
+    updateItems();
+  }));
 
-  ipcMain.on(registerForPreferenceChangedIpcMessage, ({sender}) => {
-    let id = sender.getId();
-    d(`Registering webContents ${id} for preference changes`);
-    registeredWebContents[id] = { id, sender };
-  });
+  let overlay = null;
+  if (options.devOverlay) {
+    overlay = createDevOverlay(target);
+    ret.add(() => overlay.remove());
+  }
+
+  ret.add(addListener(target, () => currentItems, {
+    ...options,
+    events,
+    overlay,
+    getPreferences: () => currentPreferences
+  }));
+
+  // NB: The target might be in an iframe or a child window, which can go away
+  // before we're unsubscribed, so clean up along with it.
+  const ownerWindow = getOwnerWindow(target);
+  if (ownerWindow) {
+    const pageHideListener = () => {
+      d(`The window of ${target.id || target.nodeName} went away, cleaning up`);
+      ret.unsubscribe();
+    };
+
+    ownerWindow.addEventListener('pagehide', pageHideListener);
+    ret.add(() => ownerWindow.removeEventListener('pagehide', pageHideListener));
+  }
 
-  ipcMain.on(unregisterForPreferenceChangedIpcMessage, ({sender}) => {
-    d(`Unregistering webContents ${sender.getId()}`);
-    delete registeredWebContents[sender.getId()];
+  ret.add(() => {
+    d(`Unsubscribing all listeners for ${target.id}`);
+    events.complete();
   });
 
-  const ret = new Subscription();
-  ret.add(onPreferenceChanged(notifyAllListeners));
-  ret.add(new Subscription(() => ipcMain.removeAllListeners(registerForPreferenceChangedIpcMessage)));
-  ret.add(new Subscription(() => ipcMain.removeAllListeners(unregisterForPreferenceChangedIpcMessage)));
+  ret.events = observeSubstitutionEvents(events);
   return ret;
 }
 
 /**
- * Sends an IPC message to each `WebContents` that is doing text substitution,
- * unless it has been destroyed, in which case remove it from our list.
+ * Calls back with the user's text preferences, and again whenever the main
+ * process notifies us of a change. The main process sends the preferences as
+ * soon as we register, so there are none until it does. Malformed messages
+ * are ignored, keeping the preferences we had.
+ *
+ * @param  {Object} preferenceOverrides   Used in place of the user's preferences
+ * @param  {Function} callback            Called with the text preferences
+ * @return {Subscription}                 A `Subscription` that will clean up everything this method did
  */
-function notifyAllListeners() {
-  let textPreferences = readSystemTextPreferences();
-  let replacementItems = getReplacementItems(textPreferences);
-  let serializedItems = JSON.stringify(replacementItems, regExpReplacer);
-
-  forEach(values(registeredWebContents), ({id, sender}) => {
-    if (sender.isDestroyed() || sender.isCrashed()) {
-      d(`WebContents ${id} is gone, removing it`);
-      delete registeredWebContents[id];
-    } else {
-      sender.send(preferenceChangedIpcMessage, serializedItems);
+function observeIpcPreferences(preferenceOverrides, callback) {
+  ipcRenderer = ipcRenderer || require('electron').ipcRenderer;
+  ipcBridge = ipcBridge || createPreferenceBridge(ipcRenderer);
+
+  if (preferenceOverrides) textPreferences = preferenceOverrides;
+  if (textPreferences) callback(textPreferences);
+
+  const removeListener = ipcBridge.onPreferencesChanged((serializedMessage) => {
+    try {
+      textPreferences = parsePreferenceMessage(serializedMessage);
+    } catch (e) {
+      d(`Ignoring malformed text preferences from the main process: ${e.message}`);
+      return;
     }
-  });
-}
 
-/**
- * @typedef {Object} TextSubstitution
- * @property {String} replace The text to replace
- * @property {String} with    The replacement text
- * @property {Bool}   on      True if this substitution is enabled
- */
-
- /**
-  * Creates a regular expression for each text substitution entry, in addition
-  * to expressions for smart quotes and dashes (if they're enabled).
-  *
-  * @param  {Array<TextSubstitution>} {substitutions  An array of text substitution entries
-  * @param  {Bool} useSmartQuotes                     True if smart quotes is on
-  * @param  {Bool} useSmartDashes}                    True if smart dashes is on
-  * @return {Array<ReplacementItem>}                  An array of replacement items
-  */
-function getReplacementItems({substitutions, useSmartQuotes, useSmartDashes}) {
-  d(`Smart quotes are ${useSmartQuotes ? 'on' : 'off'}`);
-  d(`Smart dashes are ${useSmartDashes ? 'on' : 'off'}`);
-
-  let additionalReplacements = [
-    ...(useSmartQuotes ? getSmartQuotesRegExp() : []),
-    ...(useSmartDashes ? getSmartDashesRegExp() : [])
-  ];
-
-  d(`Found ${substitutions.length} substitutions in NSUserDictionaryReplacementItems`);
-
-  // NB: Run each replacement string through our smart quotes & dashes regex,
-  // so that an input event doesn't cause chained substitutions. Also sort
-  // replacements by length, to handle nested substitutions.
-  let userDictionaryReplacements = substitutions
-    .filter((substitution) => substitution.on !== false &&
-      substitution.replace !== substitution.with)
-    .sort((a, b) => b.replace.length - a.replace.length)
-    .map((substitution) => getSubstitutionRegExp(substitution.replace,
-      scrubInputString(substitution.with, additionalReplacements)));
-
-  return [
-    ...userDictionaryReplacements,
-    ...additionalReplacements
-  ];
-}
+    d(`Received text preferences, updating replacement items`);
+    callback(textPreferences);
+  });
 
-/**
- * Get the string value of Text, Elements, and form elements
- *
- * @param  {Element} element  The element whose text will be retrieved
- * @return {String}           The text value of the element
- */
-function getElementText(element) {
-  if (!element) return '';
-  if (element.value) return element.value;
-  if (element.textContent.endsWith('\n')) return element.textContent.slice(0, -1);
-  return element.textContent;
+  return new Subscription(removeListener);
 }
 
 /**
- * Subscribes to the `input` event and performs text substitution.
+ * Calls back with the given provider's text preferences, and again whenever
+ * the provider reports a change. The provider may read asynchronously.
  *
- * @param  {EventTarget} element                      The DOM node to listen to
- * @param  {Array<ReplacementItem>} replacementItems  An array of replacement items
- * @return {Subscription}                               A `Subscription` that will remove the listener
+ * @param  {Object} preferenceOverrides           Used in place of the provider's initial preferences
+ * @param  {PreferenceProvider} preferenceProvider  The provider to read from
+ * @param  {Function} callback                    Called with the text preferences
+ * @return {Subscription}                         A `Subscription` that will clean up everything this method did
  */
-function addInputListener(element, replacementItems) {
-  let ignoreEvent = false;
-  let composition = false;
-
-  let inputListener = () => {
-    if (composition) {
-      d(`composition event is not completed, do not try substitution`);
-      return;
-    }
-
-    if (ignoreEvent) return;
-    ignoreEvent = true;
-
-    for (let {regExp, replacement} of replacementItems) {
-      // Rather than search the entire input, we're just going to check the word
-      // immediately before the caret (along with its surrounding whitespace).
-      // This is to avoid substitutions after, say, a paste or an undo.
-      let value = getElementText(element);
-      let searchStartIndex = lastIndexOfWhitespace(value, element.selectionEnd);
-      let lastWordBlock = value.substring(searchStartIndex, element.selectionEnd);
-      let match = lastWordBlock.match(regExp);
-
-      if (match && match.length === 3) {
-        d(`Got a match of length ${match[0].length} at index ${match.index}: ${JSON.stringify(match)}`);
-
-        if (some(replacementItems, (item) => item.match === match[0])) {
-          d(`The match is a prefix of another replacement item (${match[0]}), skip it`);
-          continue;
-        }
-
-        let selection = {
-          startIndex: searchStartIndex + match.index,
-          endIndex: searchStartIndex + match.index + match[0].length
-        };
-
-        replaceText(element, selection, formatReplacement(match, replacement));
-      }
-    }
-
-    ignoreEvent = false;
-  };
-
-  let keyDownListener = (e) => {
-    if (isUndoRedoEvent(e) || isBackspaceEvent(e) || composition) {
-      d(`Ignoring keydown event from ${e.target.value}`);
-      ignoreEvent = true;
-    }
-  };
-
-  let pasteListener = () => {
-    ignoreEvent = true;
-  };
+function observeProviderPreferences(preferenceOverrides, preferenceProvider, callback) {
+  let closed = false;
 
-  let keyUpListener = () => {
-    if (!composition) {
-      ignoreEvent = false;
-    }
-  };
+  const read = () => {
+    let preferences = preferenceProvider.read();
+    if (!preferences || typeof preferences.then !== 'function') return callback(preferences);
 
-  const compositionStartListener = () => composition = true;
-  const compositionEndListener = () => {
-    composition = false;
-
-    //force validate substitution state after composition completes.
-    //in case of some IME (KR for example) compositon end event won't be triggered unless
-    //final consonant are typed, while char itself can written without final consonant.
-    //This'll makes initial substitution doesn't replace text since it's suppressed then
-    //next substitution try to attempt replace first char which haven't triggered at those moment.
-    //to avoid those, force trigger input validation as soon as composition end event fires
-    ignoreEvent = false;
-    inputListener();
+    preferences.then((newPreferences) => {
+      if (!closed) callback(newPreferences);
+    }, (e) => d(`Unable to read text preferences: ${e.message}`));
   };
 
-  element.addEventListener('compositionstart', compositionStartListener, true);
-  element.addEventListener('compositionend', compositionEndListener, true);
-  element.addEventListener('keydown', keyDownListener, true);
-  element.addEventListener('paste', pasteListener, true);
-  element.addEventListener('keyup', keyUpListener, true);
-  element.addEventListener('input', inputListener);
-
-  d(`Added input listener to ${element.id} matching against ${replacementItems.length} replacements`);
-
-  return new Subscription(() => {
-    element.removeEventListener('compositionstart', compositionStartListener, true);
-    element.removeEventListener('compositionend', compositionEndListener, true);
-    element.removeEventListener('keydown', keyDownListener);
-    element.removeEventListener('paste', pasteListener);
-    element.removeEventListener('keyup', keyUpListener);
-    element.removeEventListener('input', inputListener);
-
-    d(`Removed input listener from ${element.id}`);
-  });
-}
+  if (preferenceOverrides) {
+    callback(preferenceOverrides);
+  } else {
+    read();
+  }
 
-function lastIndexOfWhitespace(value, fromIndex) {
-  let lastIndex = 0;
-  let whitespace = /\s/g;
-  let textToCaret = value.substring(0, fromIndex).trimRight();
+  const ret = new Subscription(() => closed = true);
+  ret.add(preferenceProvider.onChange(() => {
+    d(`Preference provider reported a change, updating replacement items`);
+    read();
+  }));
 
-  while (whitespace.exec(textToCaret) !== null) {
-    lastIndex = whitespace.lastIndex;
-  }
-  return lastIndex;
+  return ret;
 }
 
 /**
- * Performs the actual text replacement using `dispatchEvent`. We use events to
- * preserve the user's cursor index and make the substitution undoable.
+ * Subscribes to text preference changed notifications and notifies listeners
+ * in renderer processes, and answers renderers that ask for preferences,
+ * either directly or through a preload script's bridge (see
+ * `exposeTextSubstitutionBridge`). This method must be called from the main
+ * process, and should be called before any renderer process calls
+ * `performTextSubstitution`.
  *
- * @param  {EventTarget} element  The DOM node where text is being substituted
- * @param  {Number} {startIndex   Start index of the text to replace
- * @param  {Number} endIndex}     End index of the text to replace
- * @param  {String} newText       The text being inserted
+ * Every `WebContents` is served, including `<webview>` guests and
+ * BrowserViews. To give pages in other sessions (like a `<webview>` with its
+ * own `partition`) the bridge without a preload script of their own, pass
+ * those sessions.
+ *
+ * @param  {PreferenceProvider} preferenceProvider  Where to read text preferences from;
+ *                                                  defaults to `NSUserDefaults` on macOS
+ * @param  {Object} options
+ * @param  {Array<Session>} options.sessions        Sessions whose pages get the bridge preloaded
+ * @return {Subscription}  A `Subscription` that will clean up everything this method did
  */
-function replaceText(element, {startIndex, endIndex}, newText) {
-  setSelectionRange(element, startIndex, endIndex);
+export function listenForPreferenceChanges(preferenceProvider = getDefaultPreferenceProvider(), options = {}) {
+  if (!process || process.type !== 'browser') throw new Error(`Not in an Electron browser context`);
 
-  d(`Replacing ${getElementText(element).substring(startIndex, endIndex)} with ${newText}`);
-  document.execCommand('insertText', false, newText);
+  ipcMain = ipcMain || require('electron').ipcMain;
+  return servePreferences(ipcMain, preferenceProvider, options);
 }
 
 /**
- * Sets the selection range of a given input element. If the element is not an
- * `input` or `textarea`, we need to get into the `Range` game.
+ * True if this is an Electron renderer with access to `ipcRenderer`; with
+ * `contextIsolation`, a page isn't.
  *
- * @param  {type} element    The DOM node where text will be selected
- * @param  {type} startIndex Start index of the selection
- * @param  {type} endIndex   End index of the selection
+ * @return {Bool}  True if in an Electron renderer
  */
-function setSelectionRange(element, startIndex, endIndex) {
-  if (element.value) {
-    element.selectionStart = startIndex;
-    element.selectionEnd = endIndex;
-  } else {
-    let charIndex = 0;
-    let range = document.createRange();
-    range.setStart(element, 0);
-    range.collapse(true);
-
-    let nodeStack = [element], node, foundStart = false, stop = false;
-
-    while (!stop && (node = nodeStack.pop())) {
-      if (node.nodeType == Node.TEXT_NODE) {
-        let nextCharIndex = charIndex + node.length;
-        if (!foundStart && startIndex >= charIndex && startIndex <= nextCharIndex) {
-          range.setStart(node, startIndex - charIndex);
-          foundStart = true;
-        }
-        if (foundStart && endIndex >= charIndex && endIndex <= nextCharIndex) {
-          range.setEnd(node, endIndex - charIndex);
-          stop = true;
-        }
-        charIndex = nextCharIndex;
-      } else {
-        var i = node.childNodes.length;
-        while (i--) {
-          nodeStack.push(node.childNodes[i]);
-        }
-      }
-    }
-
-    let selection = window.getSelection();
-    selection.removeAllRanges();
-    selection.addRange(range);
-  }
+function isElectronRenderer() {
+  return typeof process !== 'undefined' && process.type === 'renderer';
 }
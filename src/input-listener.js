@@ -0,0 +1,631 @@
+import {mapValues, findLastIndex} from 'lodash';
+import {Subject} from 'rxjs/Subject';
+import {Subscription} from 'rxjs/Subscription';
+import {getSubstitutionEdits, substituteRange, applyEdits, invertEdits} from './substitution-engine';
+import {isUndoRedoEvent, isBackspaceEvent, isDeleteBackwardEvent, isTabEvent,
+  getTriggerKey} from './keyboard-utils';
+import {createSubstitutionEvent, emitBeforeSubstitute, emitSubstitutionEvent,
+  substitutedEvent} from './substitution-events';
+import {getContextDetectors} from './context-detectors';
+import {expandSnippet} from './snippets';
+import {explain} from './explain';
+import {getElementHistory, hasElementHistory} from './substitution-history';
+import {getElementText, getCaretIndex, getTextAndCaret, getSelectionIndices, setSelectionRange,
+  getEditableElement, getOwnerDocument, getOwnerWindow, insertTextAtSelection} from './dom-text';
+
+const d = require('debug')('electron-text-substitutions:input-listener');
+
+/**
+ * The events we listen to on each element, and whether we listen to them
+ * during the capture phase.
+ */
+export const inputEventTypes = {
+  compositionstart: true,
+  compositionend: true,
+  keydown: true,
+  paste: true,
+  keyup: true,
+  input: false,
+  focusout: false
+};
+
+/**
+ * How pasted text is handled: `plain` leaves it alone, `smart` applies smart
+ * quotes, dashes and typography to it, and `all` applies the user's own
+ * substitutions too.
+ */
+export const pasteModes = ['plain', 'smart', 'all'];
+
+const pasteItemsCache = new WeakMap();
+
+/**
+ * Creates the event listeners that perform text substitution on an element,
+ * keyed by event type (see `inputEventTypes`). They share the state of that
+ * element, like an IME composition in progress or the last substitution made,
+ * but they aren't added to anything; that's left to the caller.
+ *
+ * @param  {EventTarget} element      The DOM node where text is substituted
+ * @param  {Function} getItems        Returns the current array of replacement items
+ * @param  {Object} options           The options passed to `performTextSubstitution`
+ * @return {Object}                   A listener for each type in `inputEventTypes`
+ */
+export function createInputHandlers(element, getItems, options = {}) {
+  const {revertOnBackspace = false, events = new Subject(), snippetVariables = {}, pasteMode = 'plain',
+    overlay = null, getPreferences = () => ({})} = options;
+  const contextDetectors = getContextDetectors(options);
+
+  // NB: Every listener on an element shares its history.
+  const history = getElementHistory(element);
+
+  let ignoreEvent = false;
+  let composition = false;
+
+  // Why the next input is being ignored, for the dev overlay.
+  let ignoreReason = null;
+
+  // Whether shift was held for the last key event, so that Shift+paste can
+  // paste text as-is.
+  let shiftKey = false;
+
+  // The most recent substitution, while it can still be reverted.
+  let lastSubstitution = null;
+
+  // The tab stops of the last snippet, while we're still moving between them.
+  let snippetSession = null;
+
+  // Tells the history about a change the user made, if it's tracking anything.
+  let syncHistory = () => {
+    if (!history.isTracking()) return;
+
+    let {text, caret} = getTextAndCaret(element);
+    history.sync(text, caret);
+  };
+
+  let inputListener = () => {
+    if (history.editing) return;
+    syncHistory();
+
+    if (composition) {
+      d(`composition event is not completed, do not try substitution`);
+      showExplanation('composition');
+      return;
+    }
+
+    // NB: Our own edits fire input events too, without a reason.
+    if (ignoreEvent) {
+      if (ignoreReason) showExplanation(ignoreReason);
+      return;
+    }
+
+    ignoreEvent = true;
+    ignoreReason = null;
+    showExplanation(null);
+
+    // NB: Something like a context detector can throw, which mustn't leave
+    // us ignoring every event after it.
+    try {
+      substituteAtCaret();
+    } finally {
+      ignoreEvent = false;
+    }
+  };
+
+  // Shows why the text before the caret is or isn't being substituted, if
+  // the dev overlay is on.
+  let showExplanation = (state) => {
+    if (!overlay) return;
+
+    overlay.show(element, explain(getElementText(element), getCaretIndex(element), {
+      ...options,
+      preferences: getPreferences(),
+      items: getItems(),
+      state
+    }));
+  };
+
+  // Makes the substitutions that end at the caret, either as text is typed or
+  // when a trigger key is pressed. Returns true if any were made.
+  let substituteAtCaret = (key) => {
+    let {text, caret} = getTextAndCaret(element);
+
+    let {suppressedRange} = history;
+    if (suppressedRange && (caret < suppressedRange.startIndex || caret > suppressedRange.endIndex + 1)) {
+      d(`Caret left the reverted text, allow it to be substituted again`);
+      suppressedRange = history.suppressedRange = null;
+    }
+
+    let edits = getSubstitutionEdits(text, caret, getItems(), {
+      contextDetectors,
+      key,
+      filterEdit: (edit) => {
+        if (suppressedRange && edit.startIndex >= suppressedRange.startIndex &&
+          edit.startIndex <= suppressedRange.endIndex) {
+          return false;
+        }
+
+        if (edit.item.snippet) {
+          let expanded = expandSnippet(edit.replacement, { variables: snippetVariables, element });
+          edit = { ...edit, replacement: expanded.text, tabStops: expanded.tabStops };
+        }
+
+        let result = emitBeforeSubstitute(events, element, edit);
+        if (result && result.replacement !== edit.replacement) result.tabStops = null;
+        return result;
+      }
+    });
+
+    lastSubstitution = null;
+
+    if (edits.length > 0) {
+      // NB: If the browser refuses an edit, there's nothing to record.
+      let replaced = editText(() => edits.every((edit) => replaceText(element, edit, edit.replacement)));
+      if (!replaced) {
+        d(`The browser refused to make the substitution`);
+        return false;
+      }
+
+      // NB: Each edit leaves the caret after the text it inserted, but any
+      // boundary the user typed after the match belongs before the caret.
+      let result = applyEdits(text, caret, edits);
+      let snippetIndex = findLastIndex(edits, ({tabStops}) => tabStops);
+
+      if (snippetIndex === -1) {
+        setSelectionRange(element, result.caret, result.caret);
+      } else {
+        result.caret = startSnippetSession(text, caret, edits, snippetIndex);
+      }
+
+      lastSubstitution = { edits, text: result.text, caret: result.caret };
+      history.record(edits, result.text);
+
+      for (let edit of edits) {
+        emitSubstitutionEvent(events, createSubstitutionEvent(substitutedEvent, element, edit));
+      }
+    }
+
+    return edits.length > 0;
+  };
+
+  // Substitutes the text before the caret when a trigger key is pressed, if
+  // anything there is triggered by that key. Returns true if it was.
+  let substituteForKey = (key) => {
+    let {startIndex, endIndex} = getSelectionIndices(element);
+    if (startIndex !== endIndex) return false;
+
+    syncHistory();
+    return substituteAtCaret(key);
+  };
+
+  // Restores the text the user typed in place of the last substitution, in a
+  // way that can be undone, and keeps that text from being substituted again.
+  let revertLastSubstitution = () => {
+    let {edits, text, caret} = lastSubstitution;
+    lastSubstitution = null;
+
+    if (getElementText(element) !== text || getCaretIndex(element) !== caret) {
+      d(`Text or caret changed since the last substitution, not reverting it`);
+      return false;
+    }
+
+    ignoreEvent = true;
+
+    let inverseEdits = invertEdits(edits);
+    let replaced = editText(() => inverseEdits.every((edit) => {
+      d(`Reverting ${edit.original} to ${edit.replacement}`);
+      return replaceText(element, edit, edit.replacement);
+    }));
+
+    if (!replaced) {
+      d(`The browser refused to revert the substitution`);
+      return false;
+    }
+
+    let result = applyEdits(text, caret, inverseEdits);
+    setSelectionRange(element, result.caret, result.caret);
+    history.apply(inverseEdits, getElementText(element));
+
+    let {startIndex, original} = edits[0];
+    history.suppressedRange = { startIndex, endIndex: startIndex + original.length };
+    return true;
+  };
+
+  // Makes changes to the text without taking them for the user's, returning
+  // whatever the callback does.
+  let editText = (callback) => {
+    history.editing = true;
+    try {
+      return callback();
+    } finally {
+      history.editing = false;
+    }
+  };
+
+  // Selects the first tab stop of a snippet that was just inserted, and
+  // remembers the rest so that tab can move between them. Returns the caret.
+  let startSnippetSession = (text, caret, edits, snippetIndex) => {
+    let {startIndex, tabStops} = edits[snippetIndex];
+    let laterEdits = edits.slice(snippetIndex + 1);
+    let snippetText = applyEdits(text, caret, edits.slice(0, snippetIndex + 1)).text;
+
+    // NB: Edits after the snippet might have moved its text along.
+    let toIndex = (index) => applyEdits(snippetText, startIndex + index, laterEdits).caret;
+    let stops = tabStops.map((stop) => ({
+      startIndex: toIndex(stop.startIndex),
+      endIndex: toIndex(stop.endIndex)
+    }));
+
+    snippetSession = stops.length > 1 ?
+      { stops, current: 0, length: getElementText(element).length } :
+      null;
+
+    setSelectionRange(element, stops[0].startIndex, stops[0].endIndex);
+    return stops[0].endIndex;
+  };
+
+  // Moves to the next tab stop, accounting for whatever was typed into the
+  // current one. Returns false if the caret has left the current tab stop.
+  let moveToNextTabStop = () => {
+    let {stops, current, length} = snippetSession;
+    let delta = getElementText(element).length - length;
+    let caret = getCaretIndex(element);
+
+    if (caret < stops[current].startIndex || caret > stops[current].endIndex + delta) {
+      d(`Caret left the snippet, stop moving between its tab stops`);
+      snippetSession = null;
+      return false;
+    }
+
+    stops[current].endIndex += delta;
+    for (let stop of stops.slice(current + 1)) {
+      stop.startIndex += delta;
+      stop.endIndex += delta;
+    }
+
+    let next = stops[current + 1];
+    setSelectionRange(element, next.startIndex, next.endIndex);
+
+    snippetSession = current + 2 < stops.length ?
+      { stops, current: current + 1, length: length + delta } :
+      null;
+
+    return true;
+  };
+
+  // Substitutes the given text as if it had been typed, and inserts it in
+  // place of the selection as a single edit. Returns false if there was
+  // nothing to substitute, so that the paste can go ahead as usual.
+  let substitutePaste = (fragment) => {
+    let text = getElementText(element);
+    let {startIndex, endIndex} = getSelectionIndices(element);
+
+    // NB: Follow the fragment with the text after it (or a space), so that
+    // its last word is completed just as if the user went on typing.
+    let pastedText = text.substring(0, startIndex) + fragment + (text.charAt(endIndex) || ' ');
+    let result = substituteRange(pastedText, startIndex, startIndex + fragment.length,
+      getPasteItems(getItems(), pasteMode), {
+        contextDetectors,
+        filterEdit: (edit) => emitBeforeSubstitute(events, element, edit)
+      });
+
+    if (result.edits.length === 0) return false;
+
+    history.sync(text, getCaretIndex(element));
+    let replacement = result.text.substring(startIndex, result.endIndex);
+    if (!editText(() => replaceText(element, {startIndex, endIndex}, replacement))) {
+      d(`The browser refused to insert the pasted text, let the paste go ahead`);
+      return false;
+    }
+
+    d(`Substituted ${result.edits.length} times in pasted text`);
+    lastSubstitution = null;
+
+    // NB: The edits are relative to the pasted text, before it was substituted.
+    history.apply([{ startIndex, endIndex, replacement: fragment }], pastedText);
+    history.record(result.edits, getElementText(element));
+
+    for (let edit of result.edits) {
+      emitSubstitutionEvent(events, createSubstitutionEvent(substitutedEvent, element, edit));
+    }
+
+    return true;
+  };
+
+  let keyDownListener = (e) => {
+    shiftKey = e.shiftKey;
+
+    if (snippetSession && isTabEvent(e) && !composition && moveToNextTabStop()) {
+      e.preventDefault();
+    }
+
+    // NB: A trigger key that makes a substitution is consumed, so it doesn't
+    // also insert a tab or a newline (or move the focus).
+    let triggerKey = getTriggerKey(e);
+    if (triggerKey && !e.defaultPrevented && !composition && substituteForKey(triggerKey)) {
+      e.preventDefault();
+    }
+
+    if (revertOnBackspace && lastSubstitution && isDeleteBackwardEvent(e) &&
+      !composition && revertLastSubstitution()) {
+      e.preventDefault();
+    }
+
+    if (isUndoRedoEvent(e) || isBackspaceEvent(e) || composition) {
+      d(`Ignoring keydown event from ${element.id}`);
+      ignoreEvent = true;
+      ignoreReason = composition ? 'composition' : isUndoRedoEvent(e) ? 'undo' : 'backspace';
+    }
+  };
+
+  let pasteListener = (e) => {
+    ignoreEvent = true;
+    ignoreReason = 'paste';
+
+    if (pasteMode === 'plain' || shiftKey || composition || !e.clipboardData) return;
+
+    let fragment = e.clipboardData.getData('text/plain');
+    if (fragment && substitutePaste(fragment)) e.preventDefault();
+  };
+
+  let keyUpListener = (e) => {
+    shiftKey = e.shiftKey;
+
+    if (!composition) {
+      ignoreEvent = false;
+      ignoreReason = null;
+    }
+  };
+
+  let focusOutListener = () => {
+    if (overlay) overlay.hide();
+  };
+
+  let compositionStartListener = () => composition = true;
+  let compositionEndListener = () => {
+    composition = false;
+
+    //force validate substitution state after composition completes.
+    //in case of some IME (KR for example) compositon end event won't be triggered unless
+    //final consonant are typed, while char itself can written without final consonant.
+    //This'll makes initial substitution doesn't replace text since it's suppressed then
+    //next substitution try to attempt replace first char which haven't triggered at those moment.
+    //to avoid those, force trigger input validation as soon as composition end event fires
+    ignoreEvent = false;
+    inputListener();
+  };
+
+  return {
+    compositionstart: compositionStartListener,
+    compositionend: compositionEndListener,
+    keydown: keyDownListener,
+    paste: pasteListener,
+    keyup: keyUpListener,
+    input: inputListener,
+    focusout: focusOutListener
+  };
+}
+
+/**
+ * Subscribes to the `input` event and performs text substitution.
+ *
+ * @param  {EventTarget} element      The DOM node to listen to
+ * @param  {Function} getItems        Returns the current array of replacement items
+ * @param  {Object} options           The options passed to `performTextSubstitution`
+ * @return {Subscription}             A `Subscription` that will remove the listener
+ */
+export function addInputListener(element, getItems, options = {}) {
+  const handlers = createInputHandlers(element, getItems, options);
+
+  for (let type of Object.keys(inputEventTypes)) {
+    element.addEventListener(type, handlers[type], inputEventTypes[type]);
+  }
+
+  d(`Added input listener to ${element.id}`);
+
+  return new Subscription(() => {
+    for (let type of Object.keys(inputEventTypes)) {
+      element.removeEventListener(type, handlers[type], inputEventTypes[type]);
+    }
+
+    d(`Removed input listener from ${element.id}`);
+  });
+}
+
+/**
+ * Listens for input on every text field and `contenteditable` within the root,
+ * including those added later, by handling their events as they bubble (or
+ * are captured) through it. Each element gets its own state the first time it
+ * sees an event.
+ *
+ * @param  {EventTarget} root         The container (or document) to listen to
+ * @param  {Function} getItems        Returns the current array of replacement items
+ * @param  {Object} options           The options passed to `performTextSubstitutionWithin`
+ * @return {Subscription}             A `Subscription` that will remove the listeners
+ */
+export function addDelegatedListener(root, getItems, options = {}) {
+  const {optIn = false} = options;
+  const handlersByElement = new WeakMap();
+
+  const listeners = mapValues(inputEventTypes, (capture, type) => (e) => {
+    let element = getEditableElement(e.target);
+    if (!element || !isSubstitutionEnabled(element, optIn)) return;
+
+    let handlers = handlersByElement.get(element);
+    if (!handlers) {
+      d(`First ${type} event from ${element.id || element.tagName}, creating its listeners`);
+      handlers = createInputHandlers(element, getItems, options);
+      handlersByElement.set(element, handlers);
+    }
+
+    handlers[type](e);
+  });
+
+  for (let type of Object.keys(inputEventTypes)) {
+    root.addEventListener(type, listeners[type], inputEventTypes[type]);
+  }
+
+  d(`Added delegated input listener to ${root.id || root.nodeName}`);
+
+  return new Subscription(() => {
+    for (let type of Object.keys(inputEventTypes)) {
+      root.removeEventListener(type, listeners[type], inputEventTypes[type]);
+    }
+
+    d(`Removed delegated input listener from ${root.id || root.nodeName}`);
+  });
+}
+
+/**
+ * Returns the substitutions made in an element that can still be reverted,
+ * oldest first, with the range of each replacement as the text is now.
+ *
+ * @param  {EventTarget} element          The element where text was substituted
+ * @return {Array<SubstitutionRecord>}    The substitutions
+ */
+export function getSubstitutionHistory(element) {
+  if (!hasElementHistory(element)) return [];
+
+  let history = getElementHistory(element);
+  history.sync(getElementText(element), getCaretIndex(element));
+  return history.getRecords();
+}
+
+/**
+ * Restores the text that the most recent substitution in an element replaced,
+ * wherever it has moved to. It won't be substituted again straight away.
+ *
+ * @param  {EventTarget} element  The element where text was substituted
+ * @return {Bool}                 True if there was a substitution to undo
+ */
+export function undoLastSubstitution(element) {
+  return revertSubstitutions(element, 1) > 0;
+}
+
+/**
+ * Restores the text that every substitution in an element replaced, newest
+ * first.
+ *
+ * @param  {EventTarget} element  The element where text was substituted
+ * @return {Number}               The number of substitutions reverted
+ */
+export function revertAll(element) {
+  return revertSubstitutions(element, Infinity);
+}
+
+/**
+ * Reverts up to the given number of substitutions, newest first, leaving the
+ * caret where it was relative to the text around it.
+ *
+ * @param  {EventTarget} element  The element where text was substituted
+ * @param  {Number} count         The most substitutions to revert
+ * @return {Number}               The number reverted
+ */
+function revertSubstitutions(element, count) {
+  if (getSubstitutionHistory(element).length === 0) return 0;
+
+  let history = getElementHistory(element);
+  let caret = getCaretIndex(element);
+  let reverted = 0;
+
+  history.editing = true;
+  try {
+    while (reverted < count) {
+      // NB: Each revert moves the records after it along, so get them afresh.
+      let record = history.getRecords().pop();
+      if (!record) break;
+
+      let {startIndex, endIndex, original, replacement} = record;
+      let edit = { startIndex, endIndex, original: replacement, replacement: original };
+
+      d(`Reverting ${replacement} to ${original}`);
+      let text = getElementText(element);
+      if (!replaceText(element, edit, original)) {
+        d(`The browser refused to revert ${replacement}, stopping`);
+        break;
+      }
+
+      caret = applyEdits(text, caret, [edit]).caret;
+      history.apply([edit], getElementText(element));
+      history.suppressedRange = { startIndex, endIndex: startIndex + original.length };
+      reverted++;
+    }
+  } finally {
+    history.editing = false;
+  }
+
+  setSelectionRange(element, caret, caret);
+  return reverted;
+}
+
+/**
+ * Performs the actual text replacement using `execCommand`, which preserves
+ * the user's cursor index and makes the substitution undoable. Only where
+ * there's no `execCommand` at all (e.g., under jsdom) is the text edited
+ * directly, with an `input` event fired in its place. If the browser refuses
+ * the command, the text is left alone, and callers mustn't act as though it
+ * changed.
+ *
+ * @param  {EventTarget} element  The DOM node where text is being substituted
+ * @param  {Number} {startIndex   Start index of the text to replace
+ * @param  {Number} endIndex}     End index of the text to replace
+ * @param  {String} newText       The text being inserted
+ * @return {Bool}                 False if the browser refused to replace the text
+ */
+function replaceText(element, {startIndex, endIndex}, newText) {
+  setSelectionRange(element, startIndex, endIndex);
+
+  d(`Replacing ${getElementText(element).substring(startIndex, endIndex)} with ${newText}`);
+  let document = getOwnerDocument(element);
+  if (typeof document.execCommand === 'function') {
+    return document.execCommand('insertText', false, newText);
+  }
+
+  insertTextAtSelection(element, newText);
+  element.dispatchEvent(new (getOwnerWindow(element).InputEvent)('input', {
+    bubbles: true,
+    inputType: 'insertText',
+    data: newText
+  }));
+
+  return true;
+}
+
+/**
+ * Returns the replacement items that apply to pasted text. Snippets are never
+ * expanded, since there's no way to move between their tab stops.
+ *
+ * @param  {Array<ReplacementItem>} replacementItems  The current replacement items
+ * @param  {String} pasteMode                         One of `pasteModes`
+ * @return {Array<ReplacementItem>}                   The items to use for pasted text
+ */
+function getPasteItems(replacementItems, pasteMode) {
+  let itemsByMode = pasteItemsCache.get(replacementItems);
+  if (!itemsByMode) {
+    itemsByMode = {};
+    pasteItemsCache.set(replacementItems, itemsByMode);
+  }
+
+  // NB: Keep the same array for the same items, so its matcher is reused.
+  if (!itemsByMode[pasteMode]) {
+    itemsByMode[pasteMode] = replacementItems.filter((item) =>
+      !item.snippet && (pasteMode === 'all' || !(item.userDictionary || item.autocorrect || item.shortcode)));
+  }
+
+  return itemsByMode[pasteMode];
+}
+
+/**
+ * Checks the closest `data-text-substitutions` attribute: `off` turns
+ * substitution off for everything within it, and `on` turns it back on.
+ *
+ * @param  {Element} element  The element being edited
+ * @param  {Bool} optIn       True if elements must be marked `on` explicitly
+ * @return {Bool}             True if text in the element should be substituted
+ */
+function isSubstitutionEnabled(element, optIn) {
+  let marked = element.closest('[data-text-substitutions]');
+  let value = marked && marked.getAttribute('data-text-substitutions');
+
+  if (value === 'off') return false;
+  if (value === 'on') return true;
+  return !optIn;
+}
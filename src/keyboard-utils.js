@@ -3,6 +3,8 @@ const keyCodes = {
   z: 90,
   Z: 122,
   backspace: 8,
+  tab: 9,
+  enter: 13,
   delete: 46
 };
 
@@ -35,3 +37,46 @@ export function isUndoRedoEvent({keyCode, metaKey, ctrlKey, shiftKey, altKey}) {
 export function isBackspaceEvent({keyCode}) {
   return keyCode === keyCodes.backspace || keyCode === keyCodes.delete;
 }
+
+/**
+ * Returns true if this event is a backspace key press, which deletes the
+ * character before the caret (unlike delete, which deletes the one after).
+ *
+ * @param  {Number} {keyCode} The key code from the event
+ * @return {Bool}             True if backspace was pressed
+ */
+export function isDeleteBackwardEvent({keyCode}) {
+  return keyCode === keyCodes.backspace;
+}
+
+/**
+ * Returns true if this event is a press of the tab key on its own.
+ *
+ * @param  {Number} {keyCode  The key code from the event
+ * @param  {Bool} metaKey     True if the `meta` key was pressed
+ * @param  {Bool} ctrlKey     True if the `ctrl` key was pressed
+ * @param  {Bool} shiftKey    True if the `shift` key was pressed
+ * @param  {Bool} altKey}     True if the `alt` key was pressed
+ * @return {Bool}             True if tab was pressed without modifiers
+ */
+export function isTabEvent({keyCode, metaKey, ctrlKey, shiftKey, altKey}) {
+  return keyCode === keyCodes.tab && !metaKey && !ctrlKey && !shiftKey && !altKey;
+}
+
+/**
+ * Returns the trigger key (see `triggerKeys`) pressed on its own in this
+ * event, if any.
+ *
+ * @param  {Number} {keyCode  The key code from the event
+ * @param  {Bool} metaKey     True if the `meta` key was pressed
+ * @param  {Bool} ctrlKey     True if the `ctrl` key was pressed
+ * @param  {Bool} shiftKey    True if the `shift` key was pressed
+ * @param  {Bool} altKey}     True if the `alt` key was pressed
+ * @return {String}           `tab` or `enter`, or null
+ */
+export function getTriggerKey({keyCode, metaKey, ctrlKey, shiftKey, altKey}) {
+  if (metaKey || ctrlKey || shiftKey || altKey) return null;
+  if (keyCode === keyCodes.tab) return 'tab';
+  if (keyCode === keyCodes.enter) return 'enter';
+  return null;
+}
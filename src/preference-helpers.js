@@ -1,14 +1,10 @@
-import electron from 'electron';
 import {Observable} from 'rxjs/Observable';
 import {Subscription} from 'rxjs/Subscription';
 
-const systemPreferences = process.type === 'browser' ?
-  electron.systemPreferences :
-  electron.remote.systemPreferences;
-
 const userDefaultsTextSubstitutionsKey = 'NSUserDictionaryReplacementItems';
 const userDefaultsSmartQuotesKey = 'NSAutomaticQuoteSubstitutionEnabled';
 const userDefaultsSmartDashesKey = 'NSAutomaticDashSubstitutionEnabled';
+const userDefaultsLocaleKey = 'AppleLocale';
 
 const textPreferenceChangedKeys = [
   'IMKTextReplacementDidChangeNotification',
@@ -23,22 +19,26 @@ const textPreferenceChangedKeys = [
  * @return {Object}.substitutions   An array of text substitutions
  * @return {Object}.useSmartQuotes  True if smart quotes are enabled
  * @return {Object}.useSmartDashes  True if smart dashes are enabled
+ * @return {Object}.locale          The user's locale, e.g. `de_CH`
  */
 export function readSystemTextPreferences() {
+  const systemPreferences = getSystemPreferences();
   let substitutions = systemPreferences.getUserDefault(userDefaultsTextSubstitutionsKey, 'array') || [];
   const useSmartQuotes = systemPreferences.getUserDefault(userDefaultsSmartQuotesKey, 'boolean');
   const useSmartDashes = systemPreferences.getUserDefault(userDefaultsSmartDashesKey, 'boolean');
+  const locale = systemPreferences.getUserDefault(userDefaultsLocaleKey, 'string') || undefined;
 
   return {
     substitutions,
     useSmartQuotes,
-    useSmartDashes
+    useSmartDashes,
+    locale
   };
 }
 
 /**
- * If we've required this module remotely, we want to serialize the text
- * preferences first, to avoid any remote objects in the result.
+ * Returns the current text substitution preferences, serialized as JSON, so
+ * they can be sent to another process.
  */
 export function readSystemTextPreferencesJSON() {
   return JSON.stringify(readSystemTextPreferences());
@@ -69,10 +69,32 @@ export function onPreferenceChanged(callback) {
  */
 function observableForPreferenceChanged(preferenceChangedKey) {
   return Observable.create((subj) => {
+    const systemPreferences = getSystemPreferences();
     const subscriberId = systemPreferences.subscribeNotification(preferenceChangedKey, () => {
       subj.next(preferenceChangedKey);
     });
 
     return new Subscription(() => systemPreferences.unsubscribeNotification(subscriberId));
   });
-}
\ No newline at end of file
+}
+
+/**
+ * Returns Electron's `systemPreferences` module. This is resolved lazily, so
+ * that merely importing this module is safe on platforms that don't have
+ * `NSUserDefaults`. Renderers get their preferences from the main process
+ * instead (see `listenForPreferenceChanges`), so this never uses `remote`.
+ *
+ * @return {Object}  The `systemPreferences` module
+ */
+function getSystemPreferences() {
+  if (!process || process.type !== 'browser') {
+    throw new Error(`System text preferences can only be read in the main process`);
+  }
+
+  const {systemPreferences} = require('electron');
+  if (!systemPreferences || !systemPreferences.getUserDefault) {
+    throw new Error(`Electron ${process.versions.electron} is not supported`);
+  }
+
+  return systemPreferences;
+}
@@ -0,0 +1,308 @@
+import path from 'path';
+import {values, forEach, isPlainObject} from 'lodash';
+import {Subscription} from 'rxjs/Subscription';
+import {getReplacementItems} from './substitution-engine';
+
+const packageName = 'electron-text-substitutions';
+const d = require('debug')(`${packageName}:preference-ipc`);
+
+export const readPreferencesIpcMessage = `${packageName}-read-preferences`;
+export const registerForPreferenceChangedIpcMessage = `${packageName}-register-renderer`;
+export const unregisterForPreferenceChangedIpcMessage = `${packageName}-unregister-renderer`;
+export const preferenceChangedIpcMessage = `${packageName}-preference-changed`;
+
+/**
+ * The version of the messages sent between processes. Bump this whenever
+ * their shape changes. Version 0 is the unversioned format of older releases,
+ * which sent compiled replacement items, with each regular expression written
+ * as a string.
+ */
+export const preferenceProtocolVersion = 1;
+
+/**
+ * The name a preload script exposes the bridge under, by default.
+ */
+export const defaultBridgeKey = 'textSubstitutions';
+
+/**
+ * A preload script that exposes the bridge under its default name, which
+ * `servePreferences` can add to whole sessions. It requires nothing but
+ * `electron`, so it also works in a sandboxed renderer.
+ */
+export const bridgePreloadPath = path.join(__dirname, 'expose-bridge.js');
+
+/**
+ * @typedef {Object} PreferenceMessage
+ * @property {Number} version                 The `preferenceProtocolVersion` of the sender
+ * @property {TextPreferences} preferences    The raw text preferences
+ */
+
+/**
+ * The minimal surface a renderer needs to get text preferences from the main
+ * process. It holds no Electron objects, so it can be exposed to a page
+ * through `contextBridge`. Preferences are passed as serialized
+ * `PreferenceMessage`s; use `parsePreferenceMessage` to read them.
+ *
+ * @typedef {Object} PreferenceBridge
+ * @property {Function} readPreferences       Returns a `Promise` of the current message
+ * @property {Function} onPreferencesChanged  Calls the given method with a message when
+ *                                            the renderer registers, and whenever the
+ *                                            preferences change; returns a method that
+ *                                            stops listening
+ */
+
+/**
+ * Answers requests for text preferences from renderer processes, and notifies
+ * each renderer that's listening when they change. This is the main process
+ * half of `createPreferenceBridge`.
+ *
+ * Renderers send their protocol version when they register, and each is sent
+ * messages it understands: renderers from older releases, which send none,
+ * get compiled replacement items.
+ *
+ * Any `WebContents` can register, including `<webview>` guests and
+ * BrowserViews. For pages that don't have a preload script of their own,
+ * pass their sessions, and the bridge is preloaded into every page in them.
+ *
+ * @param  {IpcMain} ipcMain                        The main process end of IPC
+ * @param  {PreferenceProvider} preferenceProvider  Where to read text preferences from
+ * @param  {Array<Session>} {sessions}              Sessions to preload the bridge into
+ * @return {Subscription}                           A `Subscription` that will clean up everything this method did
+ */
+export function servePreferences(ipcMain, preferenceProvider, {sessions = []} = {}) {
+  let registeredWebContents = {};
+
+  // NB: A provider can read preferences asynchronously.
+  const readPreferences = () => Promise.resolve(preferenceProvider.read()).then((preferences) => {
+    validateTextPreferences(preferences);
+    return preferences;
+  });
+
+  const register = ({sender}, version = 0) => {
+    let {id} = sender;
+
+    if (!registeredWebContents[id]) {
+      d(`Registering webContents ${id} for preference changes, using protocol version ${version}`);
+
+      const destroyed = () => {
+        d(`WebContents ${id} was destroyed, removing it`);
+        delete registeredWebContents[id];
+      };
+
+      sender.once('destroyed', destroyed);
+      registeredWebContents[id] = { id, sender, destroyed };
+    }
+
+    registeredWebContents[id].version = version;
+
+    // NB: Send what we have now, so the renderer needn't wait for a change.
+    notifyListeners(() => registeredWebContents[id] ? [registeredWebContents[id]] : [], readPreferences);
+  };
+
+  const unregister = ({sender}) => {
+    let registration = registeredWebContents[sender.id];
+    if (!registration) return;
+
+    d(`Unregistering webContents ${sender.id}`);
+    sender.removeListener('destroyed', registration.destroyed);
+    delete registeredWebContents[sender.id];
+  };
+
+  ipcMain.handle(readPreferencesIpcMessage, (e, version = 0) =>
+    readPreferences().then((preferences) => serializePreferenceMessage(preferences, version)));
+  ipcMain.on(registerForPreferenceChangedIpcMessage, register);
+  ipcMain.on(unregisterForPreferenceChangedIpcMessage, unregister);
+
+  const ret = new Subscription();
+  ret.add(preferenceProvider.onChange(() => notifyListeners(() => values(registeredWebContents), readPreferences)));
+  ret.add(preloadBridge(sessions));
+
+  ret.add(new Subscription(() => {
+    ipcMain.removeHandler(readPreferencesIpcMessage);
+    ipcMain.removeListener(registerForPreferenceChangedIpcMessage, register);
+    ipcMain.removeListener(unregisterForPreferenceChangedIpcMessage, unregister);
+
+    forEach(values(registeredWebContents), ({sender, destroyed}) => sender.removeListener('destroyed', destroyed));
+    registeredWebContents = {};
+  }));
+
+  return ret;
+}
+
+/**
+ * Creates the renderer half of `servePreferences`. The renderer registers
+ * for changes while anything is listening, and unregisters once nothing is.
+ *
+ * @param  {IpcRenderer} ipcRenderer  The renderer end of IPC
+ * @return {PreferenceBridge}         The bridge
+ */
+export function createPreferenceBridge(ipcRenderer) {
+  let listenerCount = 0;
+
+  return {
+    readPreferences: () => ipcRenderer.invoke(readPreferencesIpcMessage, preferenceProtocolVersion),
+
+    onPreferencesChanged: (callback) => {
+      const listener = (e, serializedMessage) => callback(serializedMessage);
+      ipcRenderer.on(preferenceChangedIpcMessage, listener);
+
+      if (listenerCount++ === 0) {
+        ipcRenderer.send(registerForPreferenceChangedIpcMessage, preferenceProtocolVersion);
+      }
+
+      let removed = false;
+      return () => {
+        if (removed) return;
+        removed = true;
+
+        ipcRenderer.removeListener(preferenceChangedIpcMessage, listener);
+        if (--listenerCount === 0) ipcRenderer.send(unregisterForPreferenceChangedIpcMessage);
+      };
+    }
+  };
+}
+
+/**
+ * Serializes text preferences for a renderer that speaks the given version of
+ * the protocol.
+ *
+ * @param  {TextPreferences} preferences  The raw text preferences
+ * @param  {Number} version               The renderer's protocol version
+ * @return {String}                       The serialized message
+ */
+export function serializePreferenceMessage(preferences, version = preferenceProtocolVersion) {
+  if (!version) return JSON.stringify(getLegacyReplacementItems(preferences), regExpReplacer);
+  return JSON.stringify({ version: preferenceProtocolVersion, preferences });
+}
+
+/**
+ * Reads the text preferences out of a serialized message, throwing if it's
+ * malformed. Messages from other versions are accepted, as long as the
+ * preferences in them are valid; the compiled items that older releases sent
+ * aren't, since they can't be turned back into preferences.
+ *
+ * @param  {String} serializedMessage  The serialized `PreferenceMessage`
+ * @return {TextPreferences}           The text preferences
+ */
+export function parsePreferenceMessage(serializedMessage) {
+  if (typeof serializedMessage !== 'string') throw new Error(`Preference messages must be strings`);
+
+  let message = JSON.parse(serializedMessage);
+  if (Array.isArray(message)) throw new Error(`Messages from releases before protocol version 1 aren't supported`);
+  if (!isPlainObject(message)) throw new Error(`Preference messages must be objects`);
+
+  let {version, preferences} = message;
+  if (typeof version !== 'number') throw new Error(`Unknown protocol version: ${version}`);
+
+  if (version !== preferenceProtocolVersion) {
+    d(`Got a version ${version} message, but we speak version ${preferenceProtocolVersion}`);
+  }
+
+  validateTextPreferences(preferences);
+  return preferences;
+}
+
+/**
+ * Throws if the given object isn't a valid set of text preferences. Any of
+ * the preferences may be left out.
+ *
+ * @param  {TextPreferences} preferences  The preferences to check
+ */
+export function validateTextPreferences(preferences) {
+  if (!isPlainObject(preferences)) throw new Error(`Text preferences must be an object`);
+
+  let {substitutions, useSmartQuotes, useSmartDashes, smartTypography, useAutocorrect,
+    autocorrectExclusions, emojiShortcodes, locale} = preferences;
+
+  if (substitutions !== undefined) {
+    if (!Array.isArray(substitutions)) throw new Error(`substitutions must be an array`);
+
+    substitutions.forEach((substitution, index) => {
+      if (!isPlainObject(substitution) || typeof substitution.replace !== 'string' ||
+        typeof substitution.with !== 'string') {
+        throw new Error(`Substitution ${index} needs a replace and with string`);
+      }
+    });
+  }
+
+  forEach({useSmartQuotes, useSmartDashes, useAutocorrect}, (value, key) => {
+    if (value !== undefined && typeof value !== 'boolean') throw new Error(`${key} must be true or false`);
+  });
+
+  if (smartTypography !== undefined && typeof smartTypography !== 'boolean' && !isPlainObject(smartTypography)) {
+    throw new Error(`smartTypography must be true, false or an object`);
+  }
+
+  if (emojiShortcodes !== undefined && typeof emojiShortcodes !== 'boolean' && !isPlainObject(emojiShortcodes)) {
+    throw new Error(`emojiShortcodes must be true, false or an object`);
+  }
+
+  if (autocorrectExclusions !== undefined && (!Array.isArray(autocorrectExclusions) ||
+    !autocorrectExclusions.every((exclusion) => typeof exclusion === 'string'))) {
+    throw new Error(`autocorrectExclusions must be an array of strings`);
+  }
+
+  if (locale !== undefined && locale !== null && typeof locale !== 'string') {
+    throw new Error(`locale must be a string`);
+  }
+}
+
+/**
+ * Compiles text preferences into replacement items the way older releases
+ * did, for renderers that revive and match them themselves. Only items with a
+ * regular expression and a fixed replacement survive the trip.
+ *
+ * @param  {TextPreferences} preferences  The raw text preferences
+ * @return {Array<Object>}                Each item's `regExp`, `replacement` and `match`
+ */
+function getLegacyReplacementItems(preferences) {
+  return getReplacementItems(preferences)
+    .filter(({regExp, replacement}) => regExp && typeof replacement === 'string')
+    .map(({regExp, replacement, match}) => ({ regExp, replacement, match }));
+}
+
+/**
+ * Writes regular expressions as strings, like `/omw/u`, when serializing.
+ */
+function regExpReplacer(key, value) {
+  if (value instanceof RegExp) return value.toString();
+  return value;
+}
+
+/**
+ * Adds the bridge's preload script to each of the given sessions.
+ *
+ * @param  {Array<Session>} sessions  The sessions to preload the bridge into
+ * @return {Subscription}             A `Subscription` that will remove it again
+ */
+function preloadBridge(sessions) {
+  for (let session of sessions) {
+    let preloads = session.getPreloads();
+    if (!preloads.includes(bridgePreloadPath)) session.setPreloads([...preloads, bridgePreloadPath]);
+  }
+
+  return new Subscription(() => {
+    for (let session of sessions) {
+      session.setPreloads(session.getPreloads().filter((preload) => preload !== bridgePreloadPath));
+    }
+  });
+}
+
+/**
+ * Sends the current text preferences to each of the given registrations, in
+ * the version of the protocol it speaks. If the preferences are invalid,
+ * nothing is sent.
+ *
+ * @param  {Function} getRegistrations    Returns the registered `WebContents` to notify, once
+ *                                        the preferences have been read
+ * @param  {Function} readPreferences     Returns a `Promise` of the validated text preferences
+ * @return {Promise}                      Completes once the preferences have been sent
+ */
+function notifyListeners(getRegistrations, readPreferences) {
+  return readPreferences().then((preferences) => {
+    // NB: A renderer can unregister, or go away, while we're reading.
+    forEach(getRegistrations(), ({sender, version}) => {
+      sender.send(preferenceChangedIpcMessage, serializePreferenceMessage(preferences, version));
+    });
+  }, (e) => d(`Not sending invalid text preferences: ${e.message}`));
+}
@@ -0,0 +1,182 @@
+import fs from 'fs';
+import path from 'path';
+
+import 'rxjs/add/operator/debounceTime';
+import {Observable} from 'rxjs/Observable';
+import {Subject} from 'rxjs/Subject';
+import {Subscription} from 'rxjs/Subscription';
+import {readSystemTextPreferences, onPreferenceChanged} from './preference-helpers';
+import {defaultBridgeKey, parsePreferenceMessage} from './preference-ipc';
+
+const d = require('debug')('electron-text-substitutions:preference-providers');
+
+/**
+ * @typedef {Object} TextPreferences
+ * @property {Array<TextSubstitution>} substitutions  An array of text substitutions
+ * @property {Bool} useSmartQuotes                    True if smart quotes are enabled
+ * @property {Bool} useSmartDashes                    True if smart dashes are enabled
+ * @property {Object|Bool} smartTypography           The smart typography families to use,
+ *                                                    or true for all of them
+ * @property {Bool} useAutocorrect                    True to correct common misspellings
+ * @property {Array<String>} autocorrectExclusions    Misspellings that shouldn't be corrected
+ * @property {Object|Bool} emojiShortcodes           True to expand emoji shortcodes like `:smile:`,
+ *                                                    or an object with a default `skinTone`
+ * @property {String} locale                          Determines the style of smart quotes;
+ *                                                    defaults to the system locale
+ */
+
+/**
+ * @typedef {Object} PreferenceProvider
+ * @property {Function} read      Returns the current `TextPreferences`, or a `Promise` of them
+ * @property {Function} onChange  Calls the given method whenever the preferences
+ *                                change; returns a `Subscription` that removes it
+ */
+
+/**
+ * Returns the preferences used when nothing has been configured: no
+ * substitutions, and no smart quotes or dashes.
+ *
+ * @return {TextPreferences}  Empty text preferences
+ */
+export function getEmptyTextPreferences() {
+  return {
+    substitutions: [],
+    useSmartQuotes: false,
+    useSmartDashes: false
+  };
+}
+
+/**
+ * Creates a provider that reads text preferences from `NSUserDefaults` and
+ * listens for macOS system notifications. Only works on macOS.
+ *
+ * @return {PreferenceProvider}  The macOS preference provider
+ */
+export function createSystemPreferenceProvider() {
+  if (process.platform !== 'darwin') throw new Error(`Only supported on macOS`);
+
+  return {
+    read: readSystemTextPreferences,
+    onChange: onPreferenceChanged
+  };
+}
+
+/**
+ * Creates a provider that reads text preferences from a JSON file, and
+ * watches that file for changes. The file should contain a `TextPreferences`
+ * object; missing keys take their default values.
+ *
+ * @param  {String} filePath    The path to the JSON file
+ * @param  {Number} {debounce}  Milliseconds to wait for writes to settle
+ * @return {PreferenceProvider} The file preference provider
+ */
+export function createFilePreferenceProvider(filePath, {debounce = 100} = {}) {
+  if (!filePath) throw new Error(`A file path is required`);
+
+  const read = () => {
+    let contents;
+    try {
+      contents = fs.readFileSync(filePath, 'utf8');
+    } catch (e) {
+      d(`Unable to read ${filePath}, using empty preferences: ${e.message}`);
+      return getEmptyTextPreferences();
+    }
+
+    try {
+      return {...getEmptyTextPreferences(), ...JSON.parse(contents)};
+    } catch (e) {
+      d(`${filePath} is not valid JSON, using empty preferences: ${e.message}`);
+      return getEmptyTextPreferences();
+    }
+  };
+
+  const onChange = (callback) => observableForFileChanged(filePath)
+    .debounceTime(debounce)
+    .subscribe(callback);
+
+  return {read, onChange};
+}
+
+/**
+ * Creates a provider that holds text preferences in memory. Use `update` to
+ * change them and notify listeners.
+ *
+ * @param  {TextPreferences} initialPreferences  The starting preferences
+ * @return {PreferenceProvider}                  The provider, with an extra `update` method
+ */
+export function createMemoryPreferenceProvider(initialPreferences = {}) {
+  let preferences = {...getEmptyTextPreferences(), ...initialPreferences};
+  const changed = new Subject();
+
+  return {
+    read: () => preferences,
+    onChange: (callback) => changed.subscribe(callback),
+    update: (newPreferences) => {
+      preferences = {...getEmptyTextPreferences(), ...newPreferences};
+      changed.next(preferences);
+    }
+  };
+}
+
+/**
+ * Creates a provider that gets text preferences from the main process,
+ * through a `PreferenceBridge` exposed by a preload script. It never touches
+ * `electron` itself, so it works with `contextIsolation` and sandboxing.
+ * Reading is asynchronous.
+ *
+ * @param  {PreferenceBridge} bridge  The bridge; defaults to the one exposed by
+ *                                    `exposeTextSubstitutionBridge`
+ * @return {PreferenceProvider}       The bridge preference provider
+ */
+export function createBridgePreferenceProvider(bridge = getExposedBridge()) {
+  if (!bridge) throw new Error(`No preference bridge; call exposeTextSubstitutionBridge from a preload script`);
+
+  return {
+    read: () => bridge.readPreferences()
+      .then((serializedMessage) => ({...getEmptyTextPreferences(), ...parsePreferenceMessage(serializedMessage)})),
+    onChange: (callback) => new Subscription(bridge.onPreferencesChanged(callback))
+  };
+}
+
+/**
+ * Returns the provider used when none is specified: `NSUserDefaults` on macOS,
+ * and empty preferences everywhere else.
+ *
+ * @return {PreferenceProvider}  The default preference provider
+ */
+export function getDefaultPreferenceProvider() {
+  if (process.platform === 'darwin') return createSystemPreferenceProvider();
+
+  d(`No system text preferences on ${process.platform}, using empty preferences`);
+  return createMemoryPreferenceProvider();
+}
+
+/**
+ * Returns the bridge exposed to this page by a preload script, if any.
+ *
+ * @return {PreferenceBridge}  The bridge, or undefined
+ */
+function getExposedBridge() {
+  return typeof window !== 'undefined' ? window[defaultBridgeKey] : undefined;
+}
+
+/**
+ * Create an Observable that will emit when the given file is written, created,
+ * or removed. We watch the containing directory rather than the file itself,
+ * so that editors that save by renaming a temporary file are handled.
+ *
+ * @param  {String} filePath  The file to watch
+ * @return {Observable}       The cold Observable
+ */
+function observableForFileChanged(filePath) {
+  const directory = path.dirname(filePath);
+  const fileName = path.basename(filePath);
+
+  return Observable.create((subj) => {
+    const watcher = fs.watch(directory, (eventType, changedFile) => {
+      if (!changedFile || changedFile.toString() === fileName) subj.next(filePath);
+    });
+
+    return new Subscription(() => watcher.close());
+  });
+}
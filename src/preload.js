@@ -0,0 +1,27 @@
+import {createPreferenceBridge, defaultBridgeKey} from './preference-ipc';
+
+/**
+ * Exposes a `PreferenceBridge` to the page, so that it can substitute text
+ * without `nodeIntegration` or `electron.remote`. Call this from a preload
+ * script; then, in the page, pass `createBridgePreferenceProvider()` as the
+ * `preferenceProvider` to `performTextSubstitution`. The main process must
+ * call `listenForPreferenceChanges` to answer it.
+ *
+ * With `contextIsolation`, the bridge is exposed through `contextBridge`;
+ * otherwise it's simply set on `window`.
+ *
+ * @param  {String} key        The name to expose the bridge under on `window`
+ * @return {PreferenceBridge}  The bridge that was exposed
+ */
+export function exposeTextSubstitutionBridge(key = defaultBridgeKey) {
+  const {contextBridge, ipcRenderer} = require('electron');
+  const bridge = createPreferenceBridge(ipcRenderer);
+
+  if (process.contextIsolated) {
+    contextBridge.exposeInMainWorld(key, bridge);
+  } else {
+    window[key] = bridge;
+  }
+
+  return bridge;
+}
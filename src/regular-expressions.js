@@ -1,4 +1,4 @@
-import {escapeRegExp, reduce} from 'lodash';
+import {escapeRegExp, reduce, upperFirst} from 'lodash';
 
 export const openingSingleQuote = '\u2018'; // ‘
 export const closingSingleQuote = '\u2019'; // ’
@@ -7,70 +7,301 @@ export const openingDoubleQuote = '\u201c'; // “
 export const closingDoubleQuote = '\u201d'; // ”
 
 export const emDash   = '\u2014';           // —
+export const enDash   = '\u2013';           // –
 export const ellipsis = '\u2026';           // …
 
+export const prime          = '\u2032';     // ′
+export const doublePrime    = '\u2033';     // ″
+export const multiplication = '\u00d7';     // ×
+
+export const narrowNoBreakSpace = '\u202f';
+
+/**
+ * @typedef {Object} QuoteStyle
+ * @property {Array<String>} primary    The opening and closing primary (double) quotes
+ * @property {Array<String>} secondary  The opening and closing secondary (single) quotes
+ * @property {String} apostrophe        The character used for apostrophes
+ * @property {String} spacing           Inserted just inside each pair of quotes
+ * @property {Bool} paired              True if a quote opens or closes depending on the quotes
+ *                                      before it, rather than on spaces, which the language
+ *                                      doesn't put around quotes
+ */
+
+/**
+ * Quote styles by locale. A locale is matched exactly first (e.g., `de-CH`),
+ * then by language (e.g., `de`), and otherwise falls back to English.
+ */
+const quoteStyles = {
+  en: { primary: ['\u201c', '\u201d'], secondary: ['\u2018', '\u2019'] },   // “…” ‘…’
+  de: { primary: ['\u201e', '\u201c'], secondary: ['\u201a', '\u2018'] },   // „…“ ‚…‘
+  'de-ch': { primary: ['\u00ab', '\u00bb'], secondary: ['\u2039', '\u203a'] }, // «…» ‹…›
+  fr: {                                                                     // « … » ‹ … ›
+    primary: ['\u00ab', '\u00bb'],
+    secondary: ['\u2039', '\u203a'],
+    spacing: narrowNoBreakSpace
+  },
+  'fr-ch': { primary: ['\u00ab', '\u00bb'], secondary: ['\u2039', '\u203a'] }, // «…» ‹…›
+  pl: { primary: ['\u201e', '\u201d'], secondary: ['\u00ab', '\u00bb'] },   // „…” «…»
+  ja: { primary: ['\u300c', '\u300d'], secondary: ['\u300e', '\u300f'], paired: true } // 「…」 『…』
+};
+
 /**
  * Recreate something like \b; we don't want to use \b because no Unicode support.
+ * NB: `contenteditable` inserts no-break spaces, and atomic inline nodes (like
+ * images) appear as an object replacement character.
  */
-const wordBoundary = /[ \n\r\t.,:;|{}()<>'"`+!?«»“”‘’‹›—–−-]/;
+const wordBoundary = /[ \u00a0\u202f\n\r\t.,:;|{}()<>'"`+!?«»“”„‘’‚‹›「」『』—–−\ufffc-]/;
 const startsWithWordBoundary = new RegExp(`^${wordBoundary.source}`);
 const endsWithWordBoundary = new RegExp(`${wordBoundary.source}$`);
 
+/**
+ * The sets of characters that can end a word, and so trigger a substitution.
+ * Together, they make up `wordBoundary`.
+ */
+export const boundarySets = {
+  space: ' \u00a0\u202f\n\r\t\ufffc',
+  punctuation: '.,:;!?',
+  brackets: '{}()<>',
+  quotes: '\'"`«»“”„‘’‚‹›「」『』',
+  symbols: '|+—–−-'
+};
+
+/**
+ * The keys that can trigger a substitution on their own, instead of a
+ * boundary character.
+ */
+export const triggerKeys = ['tab', 'enter'];
+
+/**
+ * What triggers a substitution once its text has been typed.
+ *
+ * @typedef {Object} ExpansionTriggers
+ * @property {Array<String>|String} boundaries  The names of the `boundarySets` whose
+ *                                              characters trigger it, or `all` (the default)
+ * @property {Array<String>} keys               Keys from `triggerKeys` that trigger it;
+ *                                              the key press is consumed when they do
+ * @property {Bool} neverMidWord                True to require a word boundary on both
+ *                                              sides, even for text like `(tm)` that
+ *                                              starts or ends with one
+ */
+
 /**
  * @typedef {Object} ReplacementItem
  * @property {String} match       The text to replace
- * @property {RegExp} regExp      A regular expression that matches the text to replace
- * @property {String} replacement The replacement text
+ * @property {RegExp} regExp      A regular expression that matches the text to replace, or
+ *                                null if only keys trigger it
+ * @property {String|Function} replacement  The replacement text, or a method that returns
+ *                                          it given the matched text (or null to skip it)
+ * @property {Bool} matchCase     False if the text can be typed in any case
+ * @property {Bool} capitalizeSentences  True to capitalize the replacement at the
+ *                                       start of a sentence
+ * @property {Bool} snippet       True if the replacement is a snippet, which is
+ *                                expanded when the substitution is made
+ * @property {Bool} userDictionary  True if this came from the user's own substitutions,
+ *                                  rather than smart quotes, dashes or typography
+ * @property {Bool} autocorrect   True if this came from an autocorrect pack
+ * @property {Bool} immediate     True if the text is replaced as soon as it's typed,
+ *                                without waiting for a word boundary after it
+ * @property {Array<String>} triggerKeys  The keys that trigger this item, if any
+ * @property {RegExp} keyRegExp   Matches the text to replace when one of those keys is pressed
+ * @property {ContextDetector} excludedContext  Where this item alone isn't substituted,
+ *                                              given the whole text
  */
 
 /**
  * Creates a regular expression that will match a word and its boundaries– that
- * is, some surrounding whitespace or separator character.
+ * is, some surrounding whitespace or separator character. If its `triggers`
+ * include keys, the item also has a `keyRegExp` that matches the word right
+ * before the caret, for when one of its `triggerKeys` is pressed; if they
+ * have no boundaries, its `regExp` is null.
  *
- * @param  {String} match     The string to match
- * @return {ReplacementItem}  A replacement item; contains a `RegExp` and its replacement
+ * @param  {String} match                   The string to match
+ * @param  {String} replacement             The replacement text
+ * @param  {Bool} {matchCase                False to match the string in any case, and
+ *                                          carry its case over to the replacement
+ * @param  {Bool} capitalizeSentences       True to capitalize the replacement at the
+ *                                          start of a sentence
+ * @param  {Bool} immediate                 True to replace the string as soon as it's
+ *                                          typed, like `;sig`
+ * @param  {ExpansionTriggers} triggers}    What triggers the substitution; defaults to
+ *                                          any word boundary
+ * @return {ReplacementItem}                A replacement item; contains a `RegExp` and its replacement
  */
-export function getSubstitutionRegExp(match, replacement) {
+export function getSubstitutionRegExp(match, replacement, {matchCase = true, capitalizeSentences = false,
+  immediate = false, triggers = {}} = {}) {
+  let {boundaries = 'all', keys = [], neverMidWord = false} = triggers;
+  let boundary = getBoundaryRegExp(boundaries);
 
-  // Require the start of input or a word boundary, unless the string to match
-  // already starts with a boundary (e.g., `(tm)`) in which case we want to
-  // match text like `BigCompany(tm)`.
-  let startOfInputOrBoundary = startsWithWordBoundary.test(match) ?
-    '' :
-    `^\|${wordBoundary.source}`;
+  let unknownKey = keys.find((key) => !triggerKeys.includes(key));
+  if (unknownKey) throw new Error(`Unknown trigger key: ${unknownKey}`);
+
+  let startOfInputOrBoundary = neverMidWord ? `^\|${wordBoundary.source}` : getLeftBoundary(match);
 
   // Require a terminating word boundary, unless the string to match already
   // ends with a boundary (e.g., `<br>`) in which case we will also accept word
   // characters, to match something like `<br>content`.
-  let wordCharacterOrBoundary = endsWithWordBoundary.test(match) ?
-    `\\w\|${wordBoundary.source}` :
-    wordBoundary.source;
+  let wordCharacterOrBoundary = boundary && (endsWithWordBoundary.test(match) && !neverMidWord ?
+    `\\w\|${boundary.source}` :
+    boundary.source);
 
   // Capture the left and right boundaries as groups $1 and $2, to align with
   // `formatReplacement`. Be sure to escape special characters in the string
-  // to match.
-  let regExp = new RegExp(
+  // to match. Text that's replaced right away has nothing on the right.
+  let getRegExp = (right) => new RegExp(
     `(${startOfInputOrBoundary})` +
     `${escapeRegExp(match)}` +
-    `(${wordCharacterOrBoundary})`
+    right
+  , matchCase ? 'u' : 'iu');
+
+  let regExp = immediate ? getRegExp('()$') :
+    wordCharacterOrBoundary && getRegExp(`(${wordCharacterOrBoundary})`);
+
+  let item = { match, regExp, replacement, matchCase, capitalizeSentences };
+  if (immediate) item.immediate = true;
+
+  if (keys.length > 0) {
+    item.triggerKeys = keys;
+    item.keyRegExp = getRegExp('()$');
+  }
+
+  return item;
+}
+
+/**
+ * Returns a regular expression that matches any character in the given
+ * boundary sets.
+ *
+ * @param  {Array<String>|String} boundaries  The names of `boundarySets`, or `all`
+ * @return {RegExp}                           The expression, or null if there are no sets
+ */
+export function getBoundaryRegExp(boundaries = 'all') {
+  if (boundaries === 'all') return wordBoundary;
+
+  let characters = [].concat(boundaries).map((name) => {
+    if (!boundarySets[name]) throw new Error(`Unknown boundary set: ${name}`);
+    return boundarySets[name];
+  }).join('');
+
+  return characters.length > 0 ? new RegExp(`[${characters.replace(/[\\\]^-]/g, '\\$&')}]`) : null;
+}
+
+/**
+ * Creates a replacement item for a family of shortcodes, like `:smile:`: a
+ * prefix, a name, and a closing suffix. It matches as soon as the suffix is
+ * typed (or, without one, as soon as the name expands to something), and its
+ * replacement is a method that's given the typed shortcode.
+ *
+ * @param  {String} prefix        The text that starts the shortcode, like `:`
+ * @param  {String} suffix        The text that ends it; may be empty
+ * @param  {RegExp} name          Matches the name in between
+ * @param  {Function} expand      Returns the replacement for a name, or null if
+ *                                it doesn't expand to anything
+ * @return {ReplacementItem}      A replacement item
+ */
+export function getShortcodeRegExp(prefix, suffix, name, expand) {
+  let regExp = new RegExp(
+    `(${getLeftBoundary(prefix)})` +
+    `${escapeRegExp(prefix)}(?:${name.source})${escapeRegExp(suffix)}` +
+    '()$'
   , 'u');
 
-  return { match, regExp, replacement };
+  let replacement = (original) => expand(original.substring(prefix.length, original.length - suffix.length));
+  return { regExp, replacement, immediate: true };
+}
+
+/**
+ * Require the start of input or a word boundary, unless the string to match
+ * already starts with a boundary (e.g., `(tm)`) in which case we want to
+ * match text like `BigCompany(tm)`.
+ */
+function getLeftBoundary(match) {
+  return startsWithWordBoundary.test(match) ?
+    '' :
+    `^\|${wordBoundary.source}`;
+}
+
+/**
+ * Returns the replacement for the given text, in the same case as that text:
+ * if "omw" is replaced with "on my way", "Omw" becomes "On my way" and "OMW"
+ * becomes "ON MY WAY". Text typed exactly as the item's `match` gets the
+ * replacement as-is, as does any item that matches case.
+ *
+ * @param  {ReplacementItem} item  The replacement item that matched
+ * @param  {String} original       The text that matched
+ * @return {String}                The replacement text
+ */
+export function getCasedReplacement({match, replacement, matchCase = true}, original) {
+  if (matchCase || original === match) return replacement;
+
+  let isUpperCase = original !== original.toLowerCase() && original === original.toUpperCase();
+  if (isUpperCase && original.length > 1) return replacement.toUpperCase();
+
+  let isCapitalized = original.charAt(0) !== original.charAt(0).toLowerCase();
+  let matchIsCapitalized = match.charAt(0) !== match.charAt(0).toLowerCase();
+  if (isCapitalized && !matchIsCapitalized) return upperFirst(replacement);
+
+  return replacement;
+}
+
+/**
+ * Returns the quote style for the given locale.
+ *
+ * @param  {String} locale  A locale identifier, like `de-CH` or `fr_FR`
+ * @return {QuoteStyle}     The quotes used by that locale
+ */
+export function getQuoteStyle(locale = 'en') {
+  let [language, region] = locale.toLowerCase().split(/[-_]/);
+  let style = quoteStyles[`${language}-${region}`] || quoteStyles[language] || quoteStyles.en;
+
+  return { apostrophe: closingSingleQuote, spacing: '', paired: false, ...style };
 }
 
 /**
  * Returns an array of regular expressions that will progressively replace
  * straight quotes with curly quotes.
  *
+ * @param  {String} locale           Determines which quotes are used; defaults to English
  * @return {Array<ReplacementItem>}  An array of replacement items
  */
-export function getSmartQuotesRegExp() {
+export function getSmartQuotesRegExp(locale = 'en') {
+  let {primary, secondary, apostrophe, spacing, paired} = getQuoteStyle(locale);
+
+  if (paired) {
+    return [
+      ...getPairedQuotesRegExp('"', primary, spacing),
+      ...getPairedQuotesRegExp("'", secondary, spacing),
+      { regExp: /(\w)'(\w+\W)/u, replacement: apostrophe }
+    ];
+  }
+
   return [
-    { regExp: /(\S)"([\S\s])/u, replacement: closingDoubleQuote },
-    { regExp: /()"([\S\s])/u, replacement: openingDoubleQuote },
-    { regExp: /([\S\s])'(\W)/u, replacement: closingSingleQuote },
-    { regExp: /(\W|^)'([\w\s])/u, replacement: openingSingleQuote },
-    { regExp: /(\w)'(\w+\W)/u, replacement: closingSingleQuote }
+    { regExp: /(\S)"([\S\s])/u, replacement: `${spacing}${primary[1]}` },
+    { regExp: /()"([\S\s])/u, replacement: `${primary[0]}${spacing}` },
+    { regExp: /([\S\s])'(\W)/u, replacement: `${spacing}${secondary[1]}` },
+    { regExp: /(\W|^)'([\w\s])/u, replacement: `${secondary[0]}${spacing}` },
+    { regExp: /(\w)'(\w+\W)/u, replacement: apostrophe }
+  ];
+}
+
+/**
+ * Returns the replacement items for one kind of quote in a language without
+ * spaces around its quotes (like Japanese), where `彼は"こんにちは"と` has a
+ * letter on either side of both quotes. A quote closes the last one opened in
+ * the word before the caret, if it hasn't been closed already; otherwise it
+ * opens a new one.
+ *
+ * @param  {String} quote            The straight quote that's typed
+ * @param  {Array<String>} quotes    The opening and closing quotes it becomes
+ * @param  {String} spacing          Inserted just inside the quotes
+ * @return {Array<ReplacementItem>}  An array of replacement items
+ */
+function getPairedQuotesRegExp(quote, [opening, closing], spacing) {
+  let closedQuotes = `(?:[^${opening}${quote}]|${opening}[^${closing}${quote}]*${closing})*`;
+  let openQuote = `${opening}[^${opening}${closing}${quote}]*`;
+
+  return [
+    { regExp: new RegExp(`(^${closedQuotes})${quote}([\\S\\s])`, 'u'), replacement: `${opening}${spacing}` },
+    { regExp: new RegExp(`(${openQuote})${quote}([\\S\\s])`, 'u'), replacement: `${spacing}${closing}` }
   ];
 }
 
@@ -88,6 +319,123 @@ export function getSmartDashesRegExp() {
   ];
 }
 
+/**
+ * The families of substitutions in the smart typography ruleset.
+ */
+export const smartTypographyFamilies = [
+  'primes',
+  'enDashes',
+  'multiplication',
+  'symbols',
+  'arrows',
+  'fractions'
+];
+
+// A number, optionally with a decimal part, that begins the word.
+const leadingNumber = '^\\(?\\d+(?:[.,]\\d+)?';
+
+// What may follow a number that ends the word.
+const trailingNumberBoundary = '(?:[\\s,;:!?)"\'\u201d\u2019\u00bb]|\\.\\s)';
+
+// A numeric range, like `1-5` or `2017-2018`: short numbers without leading
+// zeros, that aren't shaped like a phone number (`555-1234`) or a year and
+// month (`2024-10`).
+const numericRangeStart = '^(?!\\(?\\d{3}-\\d{4}\\D)(?!\\(?\\d{4}-1[0-2]\\D)\\(?(?:0|[1-9]\\d{0,3})(?:[.,]\\d+)?';
+const numericRangeEnd = '[1-9]\\d{0,3}';
+
+/**
+ * Returns an array of regular expressions for the smart typography ruleset,
+ * which goes beyond dashes and quotes. Each family can be enabled separately:
+ *
+ * - `primes`: `5'10"` becomes `5′10″`, rather than curly quotes
+ * - `enDashes`: numeric ranges like `1-5` become `1–5`, but phone numbers and
+ *   dates are left alone
+ * - `multiplication`: `3x4` becomes `3×4`, but hex like `0x10` is left alone
+ * - `symbols`: `(c)`, `(r)` and `(tm)` become `©`, `®` and `™`, after a word
+ *   boundary and outside of an enumerated list
+ * - `arrows`: `->`, `<-` and `=>` become `→`, `←` and `⇒`
+ * - `fractions`: `1/2` becomes `½`, and so on
+ *
+ * NB: Primes must be matched before smart quotes, so that a foot or inch mark
+ * is never mistaken for a quote.
+ *
+ * @param  {Object|Bool} families    An object whose keys enable each family, or
+ *                                   `true` to enable all of them
+ * @return {Array<ReplacementItem>}  An array of replacement items
+ */
+export function getSmartTypographyRegExp(families = true) {
+  let isEnabled = (family) => families === true || !!(families && families[family]);
+
+  let items = {
+    primes: () => [
+      { regExp: new RegExp(`(${leadingNumber})'([\\d\\s,.;:!?)])`, 'u'), replacement: prime },
+      { regExp: new RegExp(`(${leadingNumber}(?:${prime}\\d+(?:[.,]\\d+)?)?)"([\\s,.;:!?)])`, 'u'), replacement: doublePrime }
+    ],
+    enDashes: () => [
+      { regExp: new RegExp(`(${numericRangeStart})-(${numericRangeEnd}${trailingNumberBoundary})`, 'u'), replacement: enDash }
+    ],
+    multiplication: () => [
+      // NB: Not the x of a hex literal, like `0x10`.
+      { regExp: new RegExp(`((?!\\(?0x)${leadingNumber})x(\\d+${trailingNumberBoundary})`, 'u'), replacement: multiplication }
+    ],
+    symbols: () => [
+      getSymbolRegExp('(tm)', '\u2122'),       // ™
+      getSymbolRegExp('(TM)', '\u2122'),
+      getSymbolRegExp('(c)', '\u00a9'),        // ©
+      getSymbolRegExp('(C)', '\u00a9'),
+      getSymbolRegExp('(r)', '\u00ae'),        // ®
+      getSymbolRegExp('(R)', '\u00ae')
+    ],
+    arrows: () => [
+      getSubstitutionRegExp('->', '\u2192'),   // →
+      getSubstitutionRegExp('<-', '\u2190'),   // ←
+      getSubstitutionRegExp('=>', '\u21d2')    // ⇒
+    ],
+    fractions: () => [
+      getSubstitutionRegExp('1/2', '\u00bd'),  // ½
+      getSubstitutionRegExp('1/3', '\u2153'),  // ⅓
+      getSubstitutionRegExp('2/3', '\u2154'),  // ⅔
+      getSubstitutionRegExp('1/4', '\u00bc'),  // ¼
+      getSubstitutionRegExp('3/4', '\u00be'),  // ¾
+      getSubstitutionRegExp('1/8', '\u215b'),  // ⅛
+      getSubstitutionRegExp('3/8', '\u215c'),  // ⅜
+      getSubstitutionRegExp('5/8', '\u215d'),  // ⅝
+      getSubstitutionRegExp('7/8', '\u215e')   // ⅞
+    ]
+  };
+
+  return smartTypographyFamilies
+    .filter(isEnabled)
+    .reduce((result, family) => [...result, ...items[family]()], []);
+}
+
+/**
+ * Creates a replacement item for a symbol like `(c)`, which needs a word
+ * boundary before it (so `f(c)` is left alone), and isn't substituted in an
+ * enumerated list like `(a) (b) (c)`.
+ *
+ * @param  {String} match          The string to match
+ * @param  {String} replacement    The symbol
+ * @return {ReplacementItem}       A replacement item
+ */
+function getSymbolRegExp(match, replacement) {
+  return {
+    ...getSubstitutionRegExp(match, replacement, { triggers: { neverMidWord: true } }),
+    excludedContext: enumeratedList
+  };
+}
+
+/**
+ * True if the index follows a list item like `(b)`.
+ *
+ * @param  {String} text   The text being edited
+ * @param  {Number} index  The index to check
+ * @return {Bool}          True if the index is within an enumerated list
+ */
+function enumeratedList(text, index) {
+  return /\([a-z]\)\s*$/i.test(text.substring(Math.max(index - 8, 0), index));
+}
+
 /**
  * Replaces text in an input string using the given replacement items.
  *
@@ -108,24 +456,3 @@ export function formatReplacement(match, replacement) {
   let [, left, right] = match;
   return `${left}${replacement}${right}`;
 }
-
-/**
- * Can be used as the replacer parameter in `JSON.stringify` to serialize
- * replacement items.
- */
-export function regExpReplacer(key, value) {
-  if (value instanceof RegExp) return value.toString();
-  return value;
-}
-
-/**
- * Can be used as the reviver parameter in `JSON.parse` to deserialize
- * replacement items.
- */
-export function regExpReviver(key, value) {
-  if (key === 'regExp') {
-    let [, regExp, flags] = value.match(/\/(.*)\/(.*)?/);
-    return new RegExp(regExp, flags || '');
-  }
-  return value;
-}
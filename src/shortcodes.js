@@ -0,0 +1,80 @@
+import {Subscription} from 'rxjs/Subscription';
+import {getShortcodeRegExp} from './regular-expressions';
+
+/**
+ * A family of shortcodes that expand as soon as they're typed, rather than
+ * waiting for a word boundary: a prefix, a name, and an optional suffix, like
+ * `:smile:` or `;sig`. Without a suffix, a shortcode expands as soon as its
+ * name is one that `expand` knows.
+ *
+ * @typedef {Object} Shortcode
+ * @property {String} prefix            The text that starts the shortcode, like `:`
+ * @property {String} suffix            The text that ends it, if any
+ * @property {RegExp} name              Matches the names in between; defaults to word
+ *                                      characters, `+` and `-`
+ * @property {Function|Object} expand   Returns the replacement for a name (or null to
+ *                                      leave it alone), or maps names to replacements
+ */
+
+const defaultShortcodeName = /[\w+-]+/;
+
+let registeredShortcodes = [];
+
+/**
+ * Makes a family of shortcodes available to every element. Elements pick it up
+ * the next time their replacement items are updated, so register shortcodes
+ * before calling `performTextSubstitution`.
+ *
+ * @param  {Shortcode} shortcode    The shortcode family
+ * @return {Subscription}           A `Subscription` that will unregister it
+ */
+export function registerShortcode(shortcode) {
+  validateShortcode(shortcode);
+
+  registeredShortcodes = [...registeredShortcodes, shortcode];
+  return new Subscription(() => {
+    registeredShortcodes = registeredShortcodes.filter((registered) => registered !== shortcode);
+  });
+}
+
+/**
+ * Returns the shortcode families registered with `registerShortcode`, most
+ * recent first.
+ *
+ * @return {Array<Shortcode>}   The registered shortcodes
+ */
+export function getRegisteredShortcodes() {
+  return [...registeredShortcodes].reverse();
+}
+
+/**
+ * Creates the replacement item for a family of shortcodes.
+ *
+ * @param  {Shortcode} shortcode    The shortcode family
+ * @return {ReplacementItem}        Its replacement item
+ */
+export function getShortcodeItem(shortcode) {
+  validateShortcode(shortcode);
+
+  let {prefix, suffix = '', name = defaultShortcodeName, expand} = shortcode;
+  let expandName = typeof expand === 'function' ?
+    expand :
+    (shortcodeName) => Object.prototype.hasOwnProperty.call(expand, shortcodeName) ? expand[shortcodeName] : null;
+
+  let item = getShortcodeRegExp(prefix, suffix, name, expandName);
+  item.shortcode = true;
+  return item;
+}
+
+/**
+ * Throws if the given object isn't a usable `Shortcode`.
+ */
+function validateShortcode(shortcode) {
+  if (!shortcode || typeof shortcode.prefix !== 'string' || shortcode.prefix.length === 0) {
+    throw new Error(`Shortcodes need a prefix`);
+  }
+
+  if (!shortcode.expand || (typeof shortcode.expand !== 'function' && typeof shortcode.expand !== 'object')) {
+    throw new Error(`Shortcodes need a method or an object to expand them`);
+  }
+}
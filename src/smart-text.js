@@ -0,0 +1,102 @@
+import {without} from 'lodash';
+import {getReplacementItems, substituteRange} from './substitution-engine';
+import {getContextDetectors, builtInContextDetectors, splitAtCode} from './context-detectors';
+import {emDash, enDash, ellipsis, prime, doublePrime, multiplication,
+  narrowNoBreakSpace} from './regular-expressions';
+
+/**
+ * The plain ASCII for each character that smart quotes, dashes or typography
+ * might have inserted, in any locale.
+ */
+const asciiEquivalents = {
+  '\u201c': '"', '\u201d': '"', '\u201e': '"',    // “ ” „
+  '\u00ab': '"', '\u00bb': '"',                    // « »
+  '\u300c': '"', '\u300d': '"',                    // 「 」
+  '\u2018': "'", '\u2019': "'", '\u201a': "'",    // ‘ ’ ‚
+  '\u2039': "'", '\u203a': "'",                    // ‹ ›
+  '\u300e': "'", '\u300f': "'",                    // 『 』
+  [prime]: "'",
+  [doublePrime]: '"',
+  [emDash]: '--',
+  [enDash]: '-',
+  [ellipsis]: '...',
+  [multiplication]: 'x',
+  '\u00a9': '(c)', '\u00ae': '(r)', '\u2122': '(tm)', // © ® ™
+  '\u2192': '->', '\u2190': '<-', '\u21d2': '=>',     // → ← ⇒
+  '\u00bd': '1/2', '\u2153': '1/3', '\u2154': '2/3',  // ½ ⅓ ⅔
+  '\u00bc': '1/4', '\u00be': '3/4', '\u215b': '1/8',  // ¼ ¾ ⅛
+  '\u215c': '3/8', '\u215d': '5/8', '\u215e': '7/8'   // ⅜ ⅝ ⅞
+};
+
+// NB: French quotes are spaced from what they enclose, so take that with them.
+const smartCharacters = new RegExp(
+  `[\u00ab\u2039]${narrowNoBreakSpace}?|${narrowNoBreakSpace}?[\u00bb\u203a]|` +
+  `[${Object.keys(asciiEquivalents).join('')}]`, 'gu');
+
+/**
+ * Applies smart quotes, dashes and (optionally) typography to an entire
+ * document, as if it had been typed with them on. Markdown code spans and
+ * fences are left as they are.
+ *
+ * @param  {String} text                      The text to convert
+ * @param  {Object} options
+ * @param  {String} options.locale            Determines the style of smart quotes;
+ *                                            defaults to the system locale
+ * @param  {Bool}   options.useSmartQuotes    False to leave quotes alone
+ * @param  {Bool}   options.useSmartDashes    False to leave dashes alone
+ * @param  {Object|Bool} options.smartTypography  The smart typography families to use,
+ *                                            or true for all of them
+ * @param  {Array<String>} options.suppressIn The other built-in contexts to skip, like URLs;
+ *                                            defaults to all of them
+ * @param  {Array<ContextDetector>} options.contextDetectors  Additional contexts to skip
+ * @return {String}                           The converted text
+ */
+export function smartify(text, {locale, useSmartQuotes = true, useSmartDashes = true, smartTypography = false,
+  suppressIn = Object.keys(builtInContextDetectors), contextDetectors} = {}) {
+  let items = getReplacementItems({useSmartQuotes, useSmartDashes, smartTypography, locale});
+
+  // NB: Code is skipped as the text is split up, which is much faster than
+  // checking each match against the whole document.
+  contextDetectors = getContextDetectors({suppressIn: without(suppressIn, 'code'), contextDetectors});
+
+  return mapProse(text, (prose, before, after) => {
+    // Type the character after the run too (or a space, at the end), so that
+    // its last word is completed.
+    let {text: result, endIndex} = substituteRange(`${before}${prose}${after || ' '}`,
+      before.length, before.length + prose.length, items, {contextDetectors});
+
+    return result.substring(before.length, endIndex);
+  });
+}
+
+/**
+ * Replaces curly quotes, dashes, ellipses and other typography with their
+ * plain ASCII equivalents, throughout a document. Markdown code spans and
+ * fences are left as they are.
+ *
+ * @param  {String} text  The text to convert
+ * @return {String}       The converted text
+ */
+export function dumbify(text) {
+  return mapProse(text, (prose) => prose.replace(smartCharacters, (match) =>
+    asciiEquivalents[match.replace(narrowNoBreakSpace, '')]));
+}
+
+/**
+ * Replaces each run of text outside of markdown code, leaving the code as-is.
+ *
+ * @param  {String} text        The text to convert
+ * @param  {Function} callback  Called with each run, and the characters before
+ *                              and after it (if any); returns its replacement
+ * @return {String}             The converted text
+ */
+function mapProse(text, callback) {
+  let index = 0;
+
+  return splitAtCode(text).map((run) => {
+    let before = text.charAt(index - 1);
+    index += run.text.length;
+
+    return run.code ? run.text : callback(run.text, before, text.charAt(index));
+  }).join('');
+}
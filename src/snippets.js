@@ -0,0 +1,145 @@
+import {Subscription} from 'rxjs/Subscription';
+
+const d = require('debug')('electron-text-substitutions:snippets');
+
+/**
+ * Matches the parts of a snippet that aren't literal text: an escaped dollar
+ * sign (`$$`), a tab stop (`$1` or `${1:default}`), or a token (`${date}` or
+ * `${date:long}`).
+ */
+const snippetPattern = /\$\$|\$(\d+)|\$\{(\d+)(?::([^}]*))?\}|\$\{([A-Za-z_][\w-]*)(?::([^}]*))?\}/g;
+
+/**
+ * A token resolver is a method that takes the token's argument (the text
+ * after a colon, if any) and an object with the `element` being edited, and
+ * returns the text to insert.
+ *
+ * @typedef {Function} TokenResolver
+ */
+
+/**
+ * @typedef {Object} ExpandedSnippet
+ * @property {String} text                The text to insert
+ * @property {Array<Object>} tabStops     The `startIndex` and `endIndex` of each
+ *                                        field, in the order they're visited; the
+ *                                        last is where the caret ends up
+ */
+
+/**
+ * The tokens that every snippet can use.
+ */
+export const builtInSnippetTokens = {
+  date: (style) => new Date().toLocaleDateString(undefined, style ? { dateStyle: style } : undefined),
+  time: (style) => new Date().toLocaleTimeString(undefined, style ? { timeStyle: style } : undefined),
+  clipboard: () => readClipboardText()
+};
+
+let registeredSnippetTokens = {};
+
+/**
+ * Makes a token available to every snippet, in addition to the built-in ones.
+ * A token with the same name as a built-in one takes its place.
+ *
+ * @param  {String} name              The name of the token, as in `${name}`
+ * @param  {TokenResolver} resolver   Returns the text to insert
+ * @return {Subscription}             A `Subscription` that will unregister the token
+ */
+export function registerSnippetToken(name, resolver) {
+  if (!/^[A-Za-z_][\w-]*$/.test(name)) throw new Error(`Invalid token name: ${name}`);
+
+  registeredSnippetTokens[name] = resolver;
+  return new Subscription(() => {
+    if (registeredSnippetTokens[name] === resolver) delete registeredSnippetTokens[name];
+  });
+}
+
+/**
+ * Evaluates a snippet, replacing its tokens and finding its tab stops. `$0`
+ * marks where the caret should end up; without it, the caret goes to the end.
+ * Tokens that can't be resolved are left as they are.
+ *
+ * @param  {String} template            The snippet, from a `TextSubstitution`'s `with`
+ * @param  {Object} {variables          Values (or methods that return them) for tokens
+ *                                      specific to this call, like a customer's name
+ * @param  {Element} element}           The element being edited, passed to resolvers
+ * @return {ExpandedSnippet}            The text to insert, and its tab stops
+ */
+export function expandSnippet(template, {variables = {}, element = null} = {}) {
+  let text = '';
+  let fields = [];
+  let lastIndex = 0;
+  let match;
+
+  snippetPattern.lastIndex = 0;
+  while ((match = snippetPattern.exec(template)) !== null) {
+    let [token, stop, fieldStop, placeholder = '', name, argument] = match;
+    text += template.substring(lastIndex, match.index);
+    lastIndex = snippetPattern.lastIndex;
+
+    if (token === '$$') {
+      text += '$';
+    } else if (name) {
+      text += resolveToken(name, argument, variables, element, token);
+    } else {
+      let number = parseInt(stop || fieldStop, 10);
+      fields.push({ number, startIndex: text.length, endIndex: text.length + placeholder.length });
+      text += placeholder;
+    }
+  }
+
+  text += template.substring(lastIndex);
+
+  // NB: Fields are visited in numeric order, except for `$0`, which is last.
+  // Only the first field with each number is a tab stop.
+  let seen = new Set();
+  let tabStops = fields
+    .filter(({number}) => {
+      if (seen.has(number)) return false;
+      seen.add(number);
+      return true;
+    })
+    .sort((a, b) => (a.number || Infinity) - (b.number || Infinity))
+    .map(({startIndex, endIndex}) => ({ startIndex, endIndex }));
+
+  if (!seen.has(0)) tabStops.push({ startIndex: text.length, endIndex: text.length });
+  return {text, tabStops};
+}
+
+/**
+ * Returns the text for a token, looking first at the given variables, then at
+ * registered tokens, and finally at the built-in ones. Only their own
+ * properties count, so that `${toString}` is left alone.
+ */
+function resolveToken(name, argument, variables, element, token) {
+  let tables = [variables, registeredSnippetTokens, builtInSnippetTokens];
+  let table = tables.find((tokens) => Object.prototype.hasOwnProperty.call(tokens, name));
+  let resolver = table ? table[name] : undefined;
+
+  if (resolver === undefined) {
+    d(`No resolver for ${token}, leaving it as-is`);
+    return token;
+  }
+
+  if (typeof resolver !== 'function') return String(resolver);
+
+  try {
+    let value = resolver(argument, {element});
+    return value === null || value === undefined ? '' : String(value);
+  } catch (e) {
+    d(`Unable to resolve ${token}: ${e.message}`);
+    return token;
+  }
+}
+
+/**
+ * Returns the text on the clipboard, or nothing where Electron's `clipboard`
+ * isn't available (like a page with `contextIsolation`).
+ */
+function readClipboardText() {
+  try {
+    return require('electron').clipboard.readText();
+  } catch (e) {
+    d(`Unable to read the clipboard: ${e.message}`);
+    return '';
+  }
+}
@@ -0,0 +1,384 @@
+import {find, upperFirst} from 'lodash';
+import {getSubstitutionRegExp, getSmartQuotesRegExp, getSmartDashesRegExp,
+  getSmartTypographyRegExp, getCasedReplacement, scrubInputString} from './regular-expressions';
+import {getSubstitutionMatcher} from './substitution-matcher';
+import {getAutocorrectSubstitutions} from './autocorrect';
+import {getShortcodeItem} from './shortcodes';
+import {getEmojiShortcode} from './emoji';
+
+const d = require('debug')('electron-text-substitutions:substitution-engine');
+
+/**
+ * @typedef {Object} TextSubstitution
+ * @property {String} replace The text to replace
+ * @property {String} with    The replacement text
+ * @property {Bool}   on      True if this substitution is enabled
+ * @property {Bool}   matchCase            False to match `replace` in any case, and
+ *                                         carry its case over to `with`; defaults to true
+ * @property {Bool}   capitalizeSentences  True to capitalize `with` at the start of a sentence
+ * @property {Bool}   snippet              True if `with` is a snippet, with tokens and tab
+ *                                         stops (see `expandSnippet`)
+ * @property {Bool}   immediate            True to replace `replace` as soon as it's typed,
+ *                                         rather than at the next word boundary
+ * @property {ExpansionTriggers} triggers  What triggers this substitution, over the ones
+ *                                         given for the element
+ */
+
+/**
+ * @typedef {Object} SubstitutionEdit
+ * @property {Number} startIndex          Start index of the text to replace
+ * @property {Number} endIndex            End index of the text to replace
+ * @property {String} original            The text being replaced
+ * @property {String} replacement         The text being inserted
+ * @property {ReplacementItem} item       The replacement item that matched
+ * @property {Array<Object>} tabStops     For an expanded snippet, its tab stops,
+ *                                        relative to `startIndex`
+ */
+
+/**
+ * Creates a regular expression for each text substitution entry, in addition
+ * to expressions for smart quotes, dashes and typography (if they're enabled).
+ *
+ * @param  {Array<TextSubstitution>} {substitutions  An array of text substitution entries
+ * @param  {Bool} useSmartQuotes                     True if smart quotes is on
+ * @param  {Bool} useSmartDashes                     True if smart dashes is on
+ * @param  {Object|Bool} smartTypography             The smart typography families to use,
+ *                                                   or true for all of them
+ * @param  {Bool} useAutocorrect                     True to correct common misspellings
+ * @param  {Array<String>} autocorrectExclusions     Misspellings to leave alone
+ * @param  {Object|Bool} emojiShortcodes             True to expand emoji shortcodes like
+ *                                                   `:smile:`, or an object with a default
+ *                                                   `skinTone`
+ * @param  {Array<Shortcode>} shortcodes             Other shortcode families to expand
+ * @param  {ExpansionTriggers} triggers              What triggers the user's own substitutions and
+ *                                                   autocorrect; defaults to any word boundary
+ * @param  {String} locale}                          Determines the style of smart quotes, and
+ *                                                   the autocorrect pack; defaults to the
+ *                                                   system locale
+ * @return {Array<ReplacementItem>}                  An array of replacement items
+ */
+export function getReplacementItems({substitutions = [], useSmartQuotes, useSmartDashes,
+  smartTypography = false, useAutocorrect = false, autocorrectExclusions = [], emojiShortcodes = false,
+  shortcodes = [], triggers = {}, locale = getSystemLocale()}) {
+  d(`Smart quotes are ${useSmartQuotes ? `on, for ${locale}` : 'off'}`);
+  d(`Smart dashes are ${useSmartDashes ? 'on' : 'off'}`);
+  d(`Smart typography is ${smartTypography ? JSON.stringify(smartTypography) : 'off'}`);
+  d(`Autocorrect is ${useAutocorrect ? `on, for ${locale}` : 'off'}`);
+
+  // NB: Smart typography goes first, so that primes aren't taken for quotes.
+  let additionalReplacements = [
+    ...(smartTypography ? getSmartTypographyRegExp(smartTypography) : []),
+    ...(useSmartQuotes ? getSmartQuotesRegExp(locale) : []),
+    ...(useSmartDashes ? getSmartDashesRegExp() : [])
+  ];
+
+  d(`Found ${substitutions.length} substitutions in NSUserDictionaryReplacementItems`);
+
+  // NB: Run each replacement string through our smart quotes & dashes regex,
+  // so that an input event doesn't cause chained substitutions. Also sort
+  // replacements by length, to handle nested substitutions.
+  let userDictionaryReplacements = substitutions
+    .filter((substitution) => substitution.on !== false &&
+      substitution.replace !== substitution.with)
+    .sort((a, b) => b.replace.length - a.replace.length)
+    .map((substitution) => {
+      let item = getSubstitutionRegExp(substitution.replace,
+        scrubInputString(substitution.with, additionalReplacements), {
+          matchCase: substitution.matchCase,
+          capitalizeSentences: substitution.capitalizeSentences,
+          immediate: substitution.immediate,
+          triggers: {...triggers, ...substitution.triggers}
+        });
+
+      item.userDictionary = true;
+      if (substitution.snippet) item.snippet = true;
+      return item;
+    });
+
+  // NB: Autocorrect comes after the user's own substitutions, and any word
+  // they have an entry for (even one that's off) is left to them.
+  let userMatches = new Set(substitutions.map((substitution) => substitution.replace.toLowerCase()));
+  let autocorrectReplacements = (useAutocorrect ? getAutocorrectSubstitutions(locale, autocorrectExclusions) : [])
+    .filter((substitution) => !userMatches.has(substitution.replace))
+    .sort((a, b) => b.replace.length - a.replace.length)
+    .map((substitution) => {
+      let item = getSubstitutionRegExp(substitution.replace,
+        scrubInputString(substitution.with, additionalReplacements), { matchCase: false, triggers });
+
+      item.autocorrect = true;
+      return item;
+    });
+
+  let shortcodeReplacements = [
+    ...shortcodes,
+    ...(emojiShortcodes ? [getEmojiShortcode(emojiShortcodes)] : [])
+  ].map((shortcode) => getShortcodeItem(shortcode));
+
+  return [
+    ...userDictionaryReplacements,
+    ...autocorrectReplacements,
+    ...shortcodeReplacements,
+    ...additionalReplacements
+  ];
+}
+
+/**
+ * Determines which substitutions should be made, given some text and the
+ * position of the caret within it. Only the word immediately before the caret
+ * is considered, just as if the user had typed it.
+ *
+ * Each edit is relative to the text as it will be after every edit before it
+ * has been applied, so they should be applied in order (see `applyEdits`).
+ *
+ * @param  {String} text                              The text being edited
+ * @param  {Number} caret                             The index of the caret within `text`
+ * @param  {Array<ReplacementItem>} replacementItems  An array of replacement items
+ * @param  {Function} {filterEdit                     Called with each edit before it is made;
+ *                                                    return false to skip it, or a different
+ *                                                    edit to make instead
+ * @param  {Array<ContextDetector>} contextDetectors  No edits are made where any of these
+ *                                                    detect their context (e.g., a URL)
+ * @param  {String} key                               A key from `triggerKeys` that was just
+ *                                                    pressed; only items it triggers are used
+ * @param  {Function} trace}                          Called with what became of each candidate
+ *                                                    item: its `item`, and either the `edit` made
+ *                                                    or the `reason` it was skipped (see `explain`)
+ * @return {Array<SubstitutionEdit>}                  The edits to make, in order
+ */
+export function getSubstitutionEdits(text, caret, replacementItems, {filterEdit, contextDetectors = [], key,
+  trace} = {}) {
+  let edits = [];
+  let matcher = getSubstitutionMatcher(replacementItems);
+  let report = (item, reason, details) => trace && trace({ item, reason, ...details });
+
+  // Rather than search the entire input, we're just going to check the word
+  // immediately before the caret (along with its surrounding whitespace).
+  // This is to avoid substitutions after, say, a paste or an undo.
+  let searchStartIndex, lastWordBlock, candidates;
+  let findCandidates = (fromIndex) => {
+    searchStartIndex = lastIndexOfWhitespace(text, caret);
+    lastWordBlock = text.substring(searchStartIndex, caret);
+    candidates = matcher.getCandidates(lastWordBlock, fromIndex);
+  };
+
+  findCandidates(0);
+
+  while (candidates.length > 0) {
+    let itemIndex = candidates.shift();
+    let item = replacementItems[itemIndex];
+    let regExp = key ? (item.triggerKeys && item.triggerKeys.includes(key) && item.keyRegExp) : item.regExp;
+    if (!regExp) {
+      report(item, 'not-triggered');
+      continue;
+    }
+
+    let match = lastWordBlock.match(regExp);
+
+    if (!match || match.length !== 3) {
+      report(item, 'no-match');
+      continue;
+    }
+
+    d(`Got a match of length ${match[0].length} at index ${match.index}: ${JSON.stringify(match)}`);
+
+    if (!key && !item.immediate && matcher.matches.has(match[0])) {
+      d(`The match is a prefix of another replacement item (${match[0]}), skip it`);
+      report(item, 'prefix');
+      continue;
+    }
+
+    // Leave the boundaries on either side ($1 and $2) untouched, and only
+    // replace the text in between.
+    let [matchedText, left, right] = match;
+    let startIndex = searchStartIndex + match.index + left.length;
+    let endIndex = searchStartIndex + match.index + matchedText.length - right.length;
+
+    let detectors = item.excludedContext ? [...contextDetectors, item.excludedContext] : contextDetectors;
+    let context = find(detectors, (detector) => detector(text, startIndex));
+    if (context) {
+      d(`The match is within ${context.name || 'a suppressed context'}, skip it`);
+      report(item, 'context', { context: context.name });
+      continue;
+    }
+
+    let original = text.substring(startIndex, endIndex);
+    let replacement = typeof item.replacement === 'function' ? item.replacement(original) : item.replacement;
+    if (typeof replacement !== 'string') {
+      d(`${original} doesn't expand to anything, skip it`);
+      report(item, 'no-expansion');
+      continue;
+    }
+
+    // NB: Snippets are expanded later, so changing their case here would
+    // mangle their tokens.
+    if (!item.snippet && typeof item.replacement === 'string') {
+      replacement = getCasedReplacement(item, original);
+      if (item.capitalizeSentences && isSentenceStart(text, startIndex)) {
+        replacement = upperFirst(replacement);
+      }
+    }
+
+    let edit = { startIndex, endIndex, original, replacement, item };
+
+    if (filterEdit) {
+      let result = filterEdit(edit);
+      if (!result) {
+        d(`Edit of ${edit.original} was filtered out, skip it`);
+        report(item, 'filtered', {edit});
+        continue;
+      }
+
+      if (result !== true) edit = result;
+    }
+
+    edits.push(edit);
+    report(item, null, {edit});
+    ({text, caret} = applyEdits(text, caret, [edit]));
+
+    // NB: The text has changed, so later items need to be checked against it.
+    findCandidates(itemIndex + 1);
+  }
+
+  return edits;
+}
+
+/**
+ * Returns the text that `getSubstitutionEdits` considers: the word before
+ * the caret, along with any whitespace after it.
+ *
+ * @param  {String} text    The text being edited
+ * @param  {Number} caret   The index of the caret within `text`
+ * @return {String}         The word before the caret
+ */
+export function getWordBeforeCaret(text, caret) {
+  return text.substring(lastIndexOfWhitespace(text, caret), caret);
+}
+
+/**
+ * Makes the substitutions that typing a range of text would have, one
+ * character at a time. The character after the range (if there is one) is
+ * typed too, so that a word at the end of the range can be completed, but no
+ * edits are made outside of the range.
+ *
+ * @param  {String} text                              The text being edited
+ * @param  {Number} startIndex                        Start index of the range, like pasted text
+ * @param  {Number} endIndex                          End index of the range
+ * @param  {Array<ReplacementItem>} replacementItems  An array of replacement items
+ * @param  {Object} options                           The same options as `getSubstitutionEdits`
+ * @return {Object}                                   The resulting `text`, the new `endIndex`
+ *                                                    of the range, and the `edits` made, in order
+ */
+export function substituteRange(text, startIndex, endIndex, replacementItems, {filterEdit, contextDetectors} = {}) {
+  let edits = [];
+  let caret = startIndex;
+
+  let filterRange = (edit) => {
+    if (edit.startIndex < startIndex || edit.endIndex > endIndex) return false;
+
+    let result = filterEdit ? filterEdit(edit) : true;
+    if (result) {
+      let accepted = result === true ? edit : result;
+      endIndex += accepted.replacement.length - (accepted.endIndex - accepted.startIndex);
+    }
+
+    return result;
+  };
+
+  while (caret < Math.min(endIndex + 1, text.length)) {
+    caret++;
+
+    let newEdits = getSubstitutionEdits(text, caret, replacementItems, {
+      contextDetectors,
+      filterEdit: filterRange
+    });
+
+    edits.push(...newEdits);
+    ({text, caret} = applyEdits(text, caret, newEdits));
+  }
+
+  return {text, endIndex, edits};
+}
+
+/**
+ * Applies edits to some text, moving the caret along with them.
+ *
+ * @param  {String} text                    The text being edited
+ * @param  {Number} caret                   The index of the caret within `text`
+ * @param  {Array<SubstitutionEdit>} edits  The edits to apply, in order
+ * @return {Object}                         The resulting `text` and `caret`
+ */
+export function applyEdits(text, caret, edits) {
+  for (let {startIndex, endIndex, replacement} of edits) {
+    text = text.substring(0, startIndex) + replacement + text.substring(endIndex);
+
+    if (caret >= endIndex) {
+      caret += replacement.length - (endIndex - startIndex);
+    } else if (caret > startIndex) {
+      caret = startIndex + replacement.length;
+    }
+  }
+
+  return {text, caret};
+}
+
+/**
+ * Returns edits that will undo the given edits, once they've been applied.
+ *
+ * @param  {Array<SubstitutionEdit>} edits  The edits that were applied, in order
+ * @return {Array<SubstitutionEdit>}        The edits that revert them, in order
+ */
+export function invertEdits(edits) {
+  return edits.map(({startIndex, original, replacement, item}) => ({
+    startIndex,
+    endIndex: startIndex + replacement.length,
+    original: replacement,
+    replacement: original,
+    item
+  })).reverse();
+}
+
+/**
+ * Returns the locale of the current environment, which is used when the text
+ * preferences don't specify one.
+ *
+ * @return {String}  A locale identifier, like `en-US`
+ */
+function getSystemLocale() {
+  if (typeof navigator !== 'undefined' && navigator.language) return navigator.language;
+  return Intl.DateTimeFormat().resolvedOptions().locale || 'en';
+}
+
+/**
+ * Returns true if the given index is at the start of a sentence: the start of
+ * the text or of a line, or after a full stop, question or exclamation mark.
+ * Any opening quotes or brackets in between are skipped.
+ *
+ * @param  {String} text   The text being edited
+ * @param  {Number} index  The index to check
+ * @return {Bool}          True if a sentence starts at the index
+ */
+function isSentenceStart(text, index) {
+  let preceding = text.substring(0, index).replace(/[(\[{"'“‘«„¿¡]+$/u, '');
+  let trimmed = preceding.replace(/\s+$/u, '');
+
+  if (trimmed.length === 0 || preceding.substring(trimmed.length).includes('\n')) return true;
+  return /[.!?…]["'”’»)\]]*$/u.test(trimmed);
+}
+
+/**
+ * Returns the index just past the last whitespace before the given index,
+ * ignoring any whitespace immediately before it.
+ *
+ * @param  {String} value      The text to search
+ * @param  {Number} fromIndex  The index to search backwards from
+ * @return {Number}            The start index of the word before `fromIndex`
+ */
+function lastIndexOfWhitespace(value, fromIndex) {
+  let index = fromIndex;
+
+  // NB: Walk backwards from the caret, rather than searching everything
+  // before it, so that long text costs no more than short text.
+  while (index > 0 && /\s/.test(value[index - 1])) index--;
+  while (index > 0 && !/\s/.test(value[index - 1])) index--;
+  return index;
+}
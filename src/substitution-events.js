@@ -0,0 +1,139 @@
+import {Subscriber} from 'rxjs/Subscriber';
+
+const d = require('debug')('electron-text-substitutions:substitution-events');
+
+/**
+ * Emitted before a substitution is made. Call `preventDefault` to cancel it,
+ * or assign a new `replacement` to insert something else.
+ */
+export const beforeSubstituteEvent = 'beforesubstitute';
+
+/**
+ * Emitted after a substitution has been made.
+ */
+export const substitutedEvent = 'substituted';
+
+/**
+ * @typedef {Object} SubstitutionEvent
+ * @property {String} type                The event type: `beforesubstitute` or `substituted`
+ * @property {EventTarget} element        The element where text is being substituted
+ * @property {ReplacementItem} rule       The replacement item that matched
+ * @property {String} original            The text being replaced
+ * @property {String} replacement         The text being inserted
+ * @property {Object} range               The `startIndex` and `endIndex` of the original text
+ * @property {Bool} defaultPrevented      True if `preventDefault` has been called
+ * @property {Function} preventDefault    Cancels the substitution (`beforesubstitute` only)
+ */
+
+/**
+ * Creates an event describing a substitution.
+ *
+ * @param  {String} type                The event type
+ * @param  {EventTarget} element        The element where text is being substituted
+ * @param  {SubstitutionEdit} edit      The edit being made
+ * @return {SubstitutionEvent}          The event
+ */
+export function createSubstitutionEvent(type, element, {startIndex, endIndex, original, replacement, item}) {
+  const cancelable = type === beforeSubstituteEvent;
+
+  const event = {
+    type,
+    element,
+    rule: item,
+    original,
+    replacement,
+    range: { startIndex, endIndex },
+    defaultPrevented: false,
+    preventDefault: () => {
+      if (cancelable) event.defaultPrevented = true;
+    }
+  };
+
+  return event;
+}
+
+/**
+ * Emits a `beforesubstitute` event for an edit, and returns the edit that
+ * should actually be made.
+ *
+ * @param  {Subject} events             Where to emit the event
+ * @param  {EventTarget} element        The element where text is being substituted
+ * @param  {SubstitutionEdit} edit      The edit about to be made
+ * @return {SubstitutionEdit}           The edit, with any new replacement, or null if cancelled
+ */
+export function emitBeforeSubstitute(events, element, edit) {
+  const event = createSubstitutionEvent(beforeSubstituteEvent, element, edit);
+  emitSubstitutionEvent(events, event);
+
+  if (event.defaultPrevented) return null;
+  if (event.replacement === edit.replacement) return edit;
+  return { ...edit, replacement: String(event.replacement) };
+}
+
+/**
+ * Emits a substitution event. Whatever a handler throws is logged, rather
+ * than escaping into the DOM event listener that made the substitution.
+ *
+ * @param  {Subject} events             Where to emit the event
+ * @param  {SubstitutionEvent} event    The event
+ */
+export function emitSubstitutionEvent(events, event) {
+  try {
+    events.next(event);
+  } catch (error) {
+    d(`A ${event.type} handler threw: ${error.stack || error}`);
+  }
+}
+
+/**
+ * Returns an `Observable` of the events emitted on a `Subject`, for handlers
+ * to subscribe to. A handler that throws has its error logged, and it goes on
+ * getting events; otherwise RxJS would unsubscribe it for good, and the
+ * handlers after it would miss the event.
+ *
+ * @param  {Subject} events   Where events are emitted
+ * @return {Observable}       The events, for handlers to subscribe to
+ */
+export function observeSubstitutionEvents(events) {
+  return catchHandlerErrors(events.asObservable());
+}
+
+/**
+ * Wraps the handlers passed to the observable's `subscribe`, and to that of
+ * any observable made from it with an operator, in a try/catch.
+ */
+function catchHandlerErrors(observable) {
+  const {subscribe, lift} = observable;
+
+  observable.subscribe = function(observerOrNext, error, complete) {
+    // NB: Operators subscribe with a `Subscriber` of their own; only the
+    // handlers at the end of the chain need to be wrapped.
+    if (observerOrNext instanceof Subscriber) return subscribe.call(this, observerOrNext);
+
+    if (observerOrNext && typeof observerOrNext === 'object') {
+      return subscribe.call(this, {
+        next: observerOrNext.next && catchErrors(observerOrNext.next.bind(observerOrNext)),
+        error: observerOrNext.error && observerOrNext.error.bind(observerOrNext),
+        complete: observerOrNext.complete && observerOrNext.complete.bind(observerOrNext)
+      });
+    }
+
+    return subscribe.call(this, observerOrNext && catchErrors(observerOrNext), error, complete);
+  };
+
+  observable.lift = function(operator) {
+    return catchHandlerErrors(lift.call(this, operator));
+  };
+
+  return observable;
+}
+
+function catchErrors(handler) {
+  return (event) => {
+    try {
+      handler(event);
+    } catch (error) {
+      d(`A handler threw for ${event && event.type}: ${error.stack || error}`);
+    }
+  };
+}
@@ -0,0 +1,757 @@
+import path from 'path';
+import {boundarySets, triggerKeys} from './regular-expressions';
+
+/**
+ * The formats that substitutions can be imported from and exported to:
+ *
+ * - `plist`: the "Text Replacements.plist" file that macOS exports when
+ *   replacements are dragged out of System Preferences
+ * - `csv`: two columns, `replace` and `with`, with an optional header row
+ * - `json`: an array of `TextSubstitution`s, or an object with a
+ *   `substitutions` array (like `TextPreferences`)
+ * - `espanso`: an espanso match file, in YAML
+ */
+export const substitutionFormats = ['plist', 'csv', 'json', 'espanso'];
+
+const formatsByExtension = {
+  '.plist': 'plist',
+  '.csv': 'csv',
+  '.json': 'json',
+  '.yml': 'espanso',
+  '.yaml': 'espanso'
+};
+
+const xmlEntities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+// Escapes in double-quoted YAML strings that JSON doesn't have, as JSON.
+const yamlEscapes = { '0': '\\u0000', a: '\\u0007', e: '\\u001b', ' ': ' ', '\t': '\\t', _: '\\u00a0' };
+
+/**
+ * @typedef {Object} SubstitutionFormatError
+ * @property {Number} line      The line the problem is on, starting at 1
+ * @property {String} message   What the problem is
+ */
+
+/**
+ * @typedef {Object} ParsedSubstitutions
+ * @property {Array<TextSubstitution>} substitutions  The substitutions that could be read;
+ *                                                    only the first of any duplicates is kept
+ * @property {Array<SubstitutionFormatError>} errors  Any problems, in the order they appear
+ */
+
+/**
+ * Returns the format of a file, based on its extension.
+ *
+ * @param  {String} filePath  The path or name of the file
+ * @return {String}           One of `substitutionFormats`, or null if it's unknown
+ */
+export function getSubstitutionFormat(filePath) {
+  return formatsByExtension[path.extname(filePath).toLowerCase()] || null;
+}
+
+/**
+ * Reads substitutions from text in one of the supported formats. Rather than
+ * failing on the first problem, this reads as much as it can and reports
+ * every problem it finds, along with entries that have the same `replace`
+ * string: exact duplicates, or conflicts that replace it with different text.
+ *
+ * @param  {String} contents          The text to parse
+ * @param  {String} format            One of `substitutionFormats`
+ * @return {ParsedSubstitutions}      The substitutions, and any errors
+ */
+export function parseSubstitutions(contents, format) {
+  let parsers = { plist: parsePlist, csv: parseCsv, json: parseJson, espanso: parseEspanso };
+  if (!parsers[format]) throw new Error(`Unknown format: ${format}`);
+
+  let errors = [];
+  let entries = parsers[format](contents.replace(/^\ufeff/, ''), errors);
+  let substitutions = [];
+  let firstEntries = new Map();
+
+  for (let {line, substitution} of entries) {
+    if (typeof substitution.replace !== 'string' || substitution.replace.length === 0) {
+      errors.push({ line, message: `Missing the text to replace` });
+      continue;
+    }
+
+    if (typeof substitution.with !== 'string' && substitution.on !== false) {
+      errors.push({ line, message: `Missing the replacement for "${substitution.replace}"` });
+      continue;
+    }
+
+    let first = firstEntries.get(substitution.replace);
+    if (first) {
+      let message = first.substitution.with === substitution.with ?
+        `Duplicate of line ${first.line}: "${substitution.replace}"` :
+        `"${substitution.replace}" conflicts with line ${first.line}, which replaces it with "${first.substitution.with}"`;
+
+      errors.push({ line, message });
+      continue;
+    }
+
+    firstEntries.set(substitution.replace, {line, substitution});
+    substitutions.push(substitution);
+  }
+
+  errors.sort((a, b) => a.line - b.line);
+  return {substitutions, errors};
+}
+
+/**
+ * Writes substitutions in one of the supported formats. Substitutions that
+ * are turned off are left out, except in JSON, which can represent them.
+ *
+ * @param  {Array<TextSubstitution>} substitutions  The substitutions to write
+ * @param  {String} format                          One of `substitutionFormats`
+ * @return {String}                                 The serialized substitutions
+ */
+export function serializeSubstitutions(substitutions, format) {
+  let serializers = { plist: serializePlist, csv: serializeCsv, json: serializeJson, espanso: serializeEspanso };
+  if (!serializers[format]) throw new Error(`Unknown format: ${format}`);
+
+  let included = format === 'json' ?
+    substitutions :
+    substitutions.filter((substitution) => substitution.on !== false);
+
+  return serializers[format](included);
+}
+
+/**
+ * Reads the array of `shortcut` and `phrase` dictionaries that macOS exports.
+ */
+function parsePlist(contents, errors) {
+  let lineOf = createLineFinder(contents);
+  let tokenPattern = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<![^>]*>|<(\/?)([\w:-]+)[^>]*?(\/?)>|[^<]+|</g;
+
+  let entries = [];
+  let stack = [];
+  let dict = null;
+  let key = null;
+  let value = null;
+  let match;
+
+  while ((match = tokenPattern.exec(contents)) !== null) {
+    let [token, closing, tagName, selfClosing] = match;
+    let line = lineOf(match.index);
+
+    if (token.startsWith('<!') || token.startsWith('<?')) continue;
+
+    if (!tagName) {
+      if (token === '<') {
+        errors.push({ line, message: `Unexpected "<"` });
+      } else if (value) {
+        value.text += token;
+      } else if (token.trim().length > 0) {
+        errors.push({ line, message: `Unexpected text: ${token.trim()}` });
+      }
+      continue;
+    }
+
+    if (closing) {
+      let open = stack.pop();
+      if (!open || open.tagName !== tagName) {
+        errors.push({ line, message: `Unexpected </${tagName}>` });
+        return entries;
+      }
+
+      if (tagName === 'key' && value) {
+        key = decodeXmlEntities(value.text, line, errors);
+        value = null;
+      } else if (tagName === 'string' && value) {
+        setPlistValue(dict, key, decodeXmlEntities(value.text, line, errors), line, errors);
+        key = null;
+        value = null;
+      } else if (tagName === 'dict' && dict && open.depth === dict.depth) {
+        entries.push({ line: dict.line, substitution: dict.substitution });
+        dict = null;
+      }
+      continue;
+    }
+
+    if (selfClosing) {
+      if (tagName === 'string') setPlistValue(dict, key, '', line, errors);
+      key = null;
+      continue;
+    }
+
+    stack.push({ tagName, depth: stack.length });
+
+    if (tagName === 'dict' && !dict) {
+      dict = { line, depth: stack.length - 1, substitution: {} };
+    } else if (tagName === 'key' || tagName === 'string') {
+      value = { text: '' };
+    } else if (dict && ['integer', 'real', 'true', 'false', 'date', 'data', 'array', 'dict'].includes(tagName)) {
+      key = null;
+    }
+  }
+
+  if (stack.length > 0) {
+    errors.push({ line: lineOf(contents.length), message: `Missing </${stack[stack.length - 1].tagName}>` });
+  }
+
+  return entries;
+}
+
+function setPlistValue(dict, key, text, line, errors) {
+  if (!dict) return;
+
+  if (key === 'shortcut') {
+    dict.substitution.replace = text;
+  } else if (key === 'phrase') {
+    dict.substitution.with = text;
+  } else if (key === null) {
+    errors.push({ line, message: `A value without a key` });
+  }
+}
+
+function serializePlist(substitutions) {
+  let dicts = substitutions.map((substitution) => [
+    '\t<dict>',
+    '\t\t<key>phrase</key>',
+    `\t\t<string>${encodeXmlEntities(substitution.with)}</string>`,
+    '\t\t<key>shortcut</key>',
+    `\t\t<string>${encodeXmlEntities(substitution.replace)}</string>`,
+    '\t</dict>'
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">',
+    '<plist version="1.0">',
+    '<array>',
+    ...dicts,
+    '</array>',
+    '</plist>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Reads rows of `replace` and `with`, skipping a header row if there is one.
+ */
+function parseCsv(contents, errors) {
+  let entries = [];
+  let rows = readCsvRows(contents, errors);
+
+  if (rows.length > 0 && isCsvHeader(rows[0].fields)) rows.shift();
+
+  for (let {line, fields} of rows) {
+    if (fields.length === 1 && fields[0] === '') continue;
+
+    if (fields.length !== 2) {
+      errors.push({ line, message: `Expected 2 columns, but found ${fields.length}` });
+      continue;
+    }
+
+    entries.push({ line, substitution: { replace: fields[0], with: fields[1] } });
+  }
+
+  return entries;
+}
+
+function isCsvHeader([replace = '', replacement = '']) {
+  return /^(replace|shortcut|trigger)$/i.test(replace.trim()) &&
+    /^(with|phrase|replacement)$/i.test(replacement.trim());
+}
+
+/**
+ * Splits CSV into rows of fields, following RFC 4180: fields can be quoted,
+ * and quoted fields can contain commas, newlines and doubled quotes.
+ */
+function readCsvRows(contents, errors) {
+  let rows = [];
+  let fields = [];
+  let field = '';
+  let line = 1;
+  let rowLine = 1;
+  let quoted = false;
+  let wasQuoted = false;
+  let hasTrailingText = false;
+
+  let endField = () => {
+    fields.push(field);
+    field = '';
+    wasQuoted = false;
+    hasTrailingText = false;
+  };
+
+  let endRow = () => {
+    endField();
+    rows.push({ line: rowLine, fields });
+    fields = [];
+  };
+
+  for (let index = 0; index < contents.length; index++) {
+    let character = contents[index];
+
+    if (quoted) {
+      if (character === '"' && contents[index + 1] === '"') {
+        field += '"';
+        index++;
+      } else if (character === '"') {
+        quoted = false;
+      } else {
+        if (character === '\n') line++;
+        field += character;
+      }
+    } else if (character === '"' && field.length === 0 && !wasQuoted) {
+      quoted = true;
+      wasQuoted = true;
+    } else if (character === ',') {
+      endField();
+    } else if (character === '\n' || character === '\r') {
+      if (character === '\r' && contents[index + 1] === '\n') index++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else if (wasQuoted) {
+      if (!hasTrailingText) errors.push({ line, message: `Unexpected text after a quoted field` });
+      hasTrailingText = true;
+    } else {
+      field += character;
+    }
+  }
+
+  if (quoted) errors.push({ line: rowLine, message: `A quoted field is never closed` });
+  if (field.length > 0 || fields.length > 0 || wasQuoted) endRow();
+
+  return rows;
+}
+
+function serializeCsv(substitutions) {
+  let escape = (field) => /[",\r\n]|^\s|\s$/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+
+  return [
+    'replace,with',
+    ...substitutions.map((substitution) => `${escape(substitution.replace)},${escape(substitution.with)}`),
+    ''
+  ].join('\n');
+}
+
+/**
+ * Reads an array of substitutions, or an object with a `substitutions` array.
+ */
+function parseJson(contents, errors) {
+  let lineOf = createLineFinder(contents);
+  let parsed;
+
+  try {
+    parsed = JSON.parse(contents);
+  } catch (e) {
+    errors.push({ line: lineOf(findJsonErrorIndex(contents)), message: e.message });
+    return [];
+  }
+
+  let isWrapped = parsed && !Array.isArray(parsed) && Array.isArray(parsed.substitutions);
+  let substitutions = isWrapped ? parsed.substitutions : parsed;
+
+  if (!Array.isArray(substitutions)) {
+    errors.push({ line: 1, message: `Expected an array of substitutions` });
+    return [];
+  }
+
+  let lines = getJsonElementLines(contents, isWrapped ? 2 : 1, lineOf);
+
+  return substitutions.reduce((entries, substitution, index) => {
+    let line = lines[index] || 1;
+
+    if (!substitution || typeof substitution !== 'object' || Array.isArray(substitution)) {
+      errors.push({ line, message: `Expected a substitution object` });
+      return entries;
+    }
+
+    let {replace, on, matchCase, capitalizeSentences, snippet, immediate, triggers} = substitution;
+    let result = { replace, with: substitution.with };
+    if (on === false) result.on = false;
+    if (matchCase === false) result.matchCase = false;
+    if (capitalizeSentences) result.capitalizeSentences = true;
+    if (snippet) result.snippet = true;
+    if (immediate) result.immediate = true;
+
+    if (triggers !== undefined) {
+      let problem = findTriggersProblem(triggers);
+      if (problem) {
+        errors.push({ line, message: `Invalid triggers for "${replace}": ${problem}` });
+        return entries;
+      }
+
+      result.triggers = triggers;
+    }
+
+    entries.push({ line, substitution: result });
+    return entries;
+  }, []);
+}
+
+/**
+ * Describes what's wrong with a substitution's `ExpansionTriggers`, if
+ * anything.
+ */
+function findTriggersProblem(triggers) {
+  if (!triggers || typeof triggers !== 'object' || Array.isArray(triggers)) return `expected an object`;
+
+  let {boundaries = 'all', keys = [], neverMidWord = false} = triggers;
+  if (boundaries !== 'all') {
+    let names = [].concat(boundaries);
+    let unknown = names.find((name) => typeof name !== 'string' || !boundarySets.hasOwnProperty(name));
+    if (unknown !== undefined) return `unknown boundary set ${JSON.stringify(unknown)}`;
+  }
+
+  if (!Array.isArray(keys)) return `expected an array of keys`;
+  let unknownKey = keys.find((key) => !triggerKeys.includes(key));
+  if (unknownKey !== undefined) return `unknown trigger key ${JSON.stringify(unknownKey)}`;
+
+  if (typeof neverMidWord !== 'boolean') return `neverMidWord should be true or false`;
+  return null;
+}
+
+/**
+ * Returns the line each element of the substitutions array starts on. They're
+ * the values that start at the given depth of nesting.
+ */
+function getJsonElementLines(contents, depth, lineOf) {
+  let lines = [];
+  let currentDepth = 0;
+  let inString = false;
+
+  for (let index = 0; index < contents.length; index++) {
+    let character = contents[index];
+
+    if (inString) {
+      if (character === '\\') index++;
+      else if (character === '"') inString = false;
+      continue;
+    }
+
+    if (/\s|,|:/.test(character)) continue;
+    if (currentDepth === depth && character !== ']' && character !== '}') {
+      let isValueStart = !/[\w.+-]/.test(contents[index - 1] || '');
+      if (isValueStart) lines.push(lineOf(index));
+    }
+
+    if (character === '"') inString = true;
+    else if (character === '[' || character === '{') currentDepth++;
+    else if (character === ']' || character === '}') currentDepth--;
+  }
+
+  return lines;
+}
+
+/**
+ * Returns the index where some invalid JSON goes wrong, since not every
+ * version of `JSON.parse` says where in its errors.
+ */
+function findJsonErrorIndex(contents) {
+  let index = 0;
+
+  let skipWhitespace = () => {
+    while (/\s/.test(contents[index] || '')) index++;
+  };
+
+  let expect = (pattern) => {
+    let match = contents.substring(index).match(pattern);
+    if (!match) throw index;
+    index += match[0].length;
+  };
+
+  let readValue = () => {
+    skipWhitespace();
+    let character = contents[index];
+
+    if (character === '{' || character === '[') {
+      let close = character === '{' ? '}' : ']';
+      index++;
+      skipWhitespace();
+      if (contents[index] === close) return index++;
+
+      for (;;) {
+        if (close === '}') {
+          skipWhitespace();
+          expect(/^"(?:[^"\\\n]|\\.)*"/);
+          skipWhitespace();
+          expect(/^:/);
+        }
+
+        readValue();
+        skipWhitespace();
+        if (contents[index] === close) return index++;
+        expect(/^,/);
+      }
+    }
+
+    expect(/^(?:"(?:[^"\\\n]|\\.)*"|-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null)/);
+  };
+
+  try {
+    readValue();
+    skipWhitespace();
+    return index;
+  } catch (errorIndex) {
+    return errorIndex;
+  }
+}
+
+function serializeJson(substitutions) {
+  return `${JSON.stringify(substitutions, null, 2)}\n`;
+}
+
+/**
+ * Reads the `matches` of an espanso match file. Only the subset of YAML those
+ * files use is supported: block sequences and mappings, plain and quoted
+ * scalars, block scalars (`|` and `>`), flow sequences and comments.
+ */
+function parseEspanso(contents, errors) {
+  let lines = contents.split(/\r\n|\r|\n/);
+  let entries = [];
+  let inMatches = false;
+  let current = null;
+  let itemIndent = -1;
+
+  let finishEntry = () => {
+    if (!current) return;
+
+    let {line, fields} = current;
+    current = null;
+
+    if (fields.regex !== undefined) {
+      errors.push({ line, message: `Regex triggers aren't supported` });
+      return;
+    }
+
+    let unsupported = ['form', 'image_path', 'html', 'markdown'].find((key) => fields[key] !== undefined);
+    if (unsupported) {
+      errors.push({ line, message: `"${unsupported}" matches aren't supported` });
+      return;
+    }
+
+    let triggers = fields.triggers !== undefined ? fields.triggers : [fields.trigger];
+    if (!Array.isArray(triggers)) triggers = [triggers];
+
+    for (let trigger of triggers) {
+      let substitution = { replace: trigger, with: fields.replace };
+      if (fields.propagate_case === true) substitution.matchCase = false;
+      entries.push({ line, substitution });
+    }
+  };
+
+  for (let index = 0; index < lines.length; index++) {
+    let line = index + 1;
+    let text = stripYamlComment(lines[index]);
+    let content = text.trim();
+    if (content.length === 0 || content === '---') continue;
+
+    let indent = text.length - text.trimLeft().length;
+
+    if (indent === 0) {
+      finishEntry();
+      inMatches = /^matches\s*:$/.test(content);
+      itemIndent = -1;
+      continue;
+    }
+
+    if (!inMatches) continue;
+
+    // A new match starts with a dash, and its first key can follow on the
+    // same line; the rest of its keys line up with that one.
+    let keyIndent = indent;
+    let isItem = /^-(\s|$)/.test(content) && (itemIndent === -1 || indent === itemIndent);
+
+    if (isItem) {
+      finishEntry();
+      itemIndent = indent;
+
+      content = content.substring(1).trim();
+      keyIndent = content.length > 0 ? text.indexOf(content, indent + 1) : null;
+      current = { line, fields: {}, indent: keyIndent };
+      if (content.length === 0) continue;
+    }
+
+    if (!current) {
+      errors.push({ line, message: `Expected a match, starting with "-"` });
+      continue;
+    }
+
+    if (current.indent === null) current.indent = keyIndent;
+
+    // NB: Anything indented further belongs to a key we don't use, like `vars`.
+    if (keyIndent > current.indent) continue;
+    if (keyIndent < current.indent) {
+      errors.push({ line, message: `Unexpected indentation` });
+      continue;
+    }
+
+    let field = content.match(/^([\w-]+)\s*:(?:\s+(.*))?$/);
+    if (!field) {
+      errors.push({ line, message: `Expected "key: value"` });
+      continue;
+    }
+
+    let [, key, rawValue = ''] = field;
+
+    if (/^[|>][+-]?$/.test(rawValue)) {
+      let block = readYamlBlockScalar(lines, index + 1, current.indent, rawValue);
+      current.fields[key] = block.value;
+      index = block.lastIndex;
+      continue;
+    }
+
+    try {
+      current.fields[key] = parseYamlScalar(rawValue);
+    } catch (e) {
+      errors.push({ line, message: e.message });
+    }
+  }
+
+  finishEntry();
+  return entries;
+}
+
+/**
+ * Reads the lines of a `|` or `>` block scalar, which are indented further
+ * than the key they belong to.
+ */
+function readYamlBlockScalar(lines, startIndex, parentIndent, header) {
+  let blockLines = [];
+  let blockIndent = null;
+  let index = startIndex;
+
+  for (; index < lines.length; index++) {
+    let text = lines[index];
+    if (text.trim().length === 0) {
+      blockLines.push('');
+      continue;
+    }
+
+    let indent = text.length - text.trimLeft().length;
+    if (indent <= parentIndent) break;
+    if (blockIndent === null) blockIndent = indent;
+
+    blockLines.push(text.substring(Math.min(indent, blockIndent)));
+  }
+
+  let trailing = 0;
+  while (blockLines.length > 0 && blockLines[blockLines.length - 1] === '') {
+    blockLines.pop();
+    trailing++;
+  }
+
+  let value = header.startsWith('>') ?
+    blockLines.join('\n').replace(/([^\n])\n(?=[^\n])/g, '$1 ') :
+    blockLines.join('\n');
+
+  if (header.endsWith('+')) value += '\n'.repeat(trailing + 1);
+  else if (!header.endsWith('-')) value += '\n';
+
+  return { value, lastIndex: index - 1 - trailing };
+}
+
+function parseYamlScalar(value) {
+  value = value.trim();
+
+  if (value.startsWith('"')) {
+    if (!/^"(?:[^"\\]|\\.)*"$/.test(value)) throw new Error(`A quoted string is never closed`);
+    return JSON.parse(value.replace(/\\(.)/g, (escape, character) => {
+      if ('"\\/bfnrtu'.includes(character)) return escape;
+      if (!yamlEscapes[character]) throw new Error(`Unknown escape: ${escape}`);
+      return yamlEscapes[character];
+    }));
+  }
+
+  if (value.startsWith("'")) {
+    if (!/^'(?:[^']|'')*'$/.test(value)) throw new Error(`A quoted string is never closed`);
+    return value.slice(1, -1).replace(/''/g, "'");
+  }
+
+  if (value.startsWith('[')) {
+    if (!value.endsWith(']')) throw new Error(`A list is never closed`);
+    let items = value.slice(1, -1).match(/"(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^,]+/g) || [];
+    return items.map((item) => parseYamlScalar(item)).filter((item) => item !== '');
+  }
+
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return value;
+}
+
+/**
+ * Removes a comment from a line of YAML, unless the `#` is inside quotes or
+ * isn't preceded by whitespace.
+ */
+function stripYamlComment(text) {
+  let quote = null;
+
+  for (let index = 0; index < text.length; index++) {
+    let character = text[index];
+
+    if (quote) {
+      if (character === '\\' && quote === '"') index++;
+      else if (character === quote) quote = null;
+    } else if (character === '"' || character === "'") {
+      quote = character;
+    } else if (character === '#' && (index === 0 || /\s/.test(text[index - 1]))) {
+      return text.substring(0, index).replace(/\s+$/, '');
+    }
+  }
+
+  return text;
+}
+
+function serializeEspanso(substitutions) {
+  let matches = substitutions.map((substitution) => {
+    let lines = [
+      `  - trigger: ${JSON.stringify(substitution.replace)}`,
+      `    replace: ${JSON.stringify(substitution.with)}`
+    ];
+
+    if (substitution.matchCase === false) lines.push('    propagate_case: true');
+    return lines.join('\n');
+  });
+
+  return ['matches:', ...matches, ''].join('\n');
+}
+
+function decodeXmlEntities(text, line, errors) {
+  return text.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      let codePoint = name[1].toLowerCase() === 'x' ? parseInt(name.substring(2), 16) : parseInt(name.substring(1), 10);
+      if (codePoint <= 0x10ffff) return String.fromCodePoint(codePoint);
+
+      errors.push({ line, message: `Invalid character reference: ${entity}` });
+      return entity;
+    }
+
+    return xmlEntities.hasOwnProperty(name) ? xmlEntities[name] : entity;
+  });
+}
+
+function encodeXmlEntities(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Returns a method that converts an index in some text to its line number.
+ * Lines are found with a binary search, since the parsers look up every token.
+ */
+function createLineFinder(contents) {
+  let lineStarts = [0];
+  for (let index = 0; index < contents.length; index++) {
+    if (contents[index] === '\n') lineStarts.push(index + 1);
+  }
+
+  return (index) => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+
+    // Find the last line that starts at or before the index.
+    while (low < high) {
+      let middle = Math.ceil((low + high) / 2);
+      if (lineStarts[middle] <= index) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+
+    return low + 1;
+  };
+}
@@ -0,0 +1,177 @@
+/**
+ * A substitution that was made in an element, and where its replacement is
+ * now. The range moves along as the user keeps typing, and the record is
+ * dropped once the replacement itself is edited.
+ *
+ * @typedef {Object} SubstitutionRecord
+ * @property {Number} startIndex          Start index of the replacement in the text
+ * @property {Number} endIndex            End index of the replacement in the text
+ * @property {String} original            The text that was replaced
+ * @property {String} replacement         The text that was inserted
+ * @property {ReplacementItem} rule       The replacement item that matched
+ */
+
+/**
+ * The substitutions made in some text, kept up to date as the text changes.
+ * It's told about each change, either as edits or by comparing the text
+ * before and after. Until there's a substitution to track, it needn't be told
+ * anything, so editing an element costs nothing extra until then.
+ *
+ * @typedef {Object} SubstitutionHistory
+ * @property {Function} getRecords       Returns the `SubstitutionRecord`s that can still
+ *                                       be reverted, oldest first
+ * @property {Function} isTracking       True if there's anything to keep up to date: records,
+ *                                       or a suppressed range
+ * @property {Function} sync             Catches up with a change we didn't make, given
+ *                                       the new text and the caret; only needed while tracking
+ * @property {Function} apply            Moves everything along for edits we made, like
+ *                                       reverting a substitution, without recording them
+ * @property {Function} record           Records substitutions that were just made, given
+ *                                       the edits in order and the new text
+ * @property {Bool} editing              True while we're changing the text ourselves, so
+ *                                       that the change isn't taken for the user's
+ * @property {Object} suppressedRange    The text that shouldn't be substituted again,
+ *                                       after a substitution was reverted
+ */
+
+/**
+ * The most substitutions remembered for one element; older ones are dropped.
+ */
+export const maxHistoryLength = 100;
+
+const elementHistories = new WeakMap();
+
+/**
+ * Creates a history of the substitutions made in some text.
+ *
+ * @param  {String} initialText     The text to start with
+ * @return {SubstitutionHistory}    The history
+ */
+export function createSubstitutionHistory(initialText = '') {
+  let text = initialText;
+  let records = [];
+
+  const history = {
+    editing: false,
+    suppressedRange: null,
+
+    getRecords: () => records.map((record) => ({...record})),
+
+    isTracking: () => records.length > 0 || !!history.suppressedRange,
+
+    sync: (newText, caret) => {
+      // NB: With nothing to track, the text is picked up again by `apply`
+      // or `record`, which always come first.
+      if (!history.isTracking() || newText === text) return;
+
+      applyChange(getTextChange(text, newText, caret));
+      text = newText;
+    },
+
+    apply: (edits, newText) => {
+      for (let {startIndex, endIndex, replacement} of edits) {
+        applyChange({ startIndex, endIndex, length: replacement.length });
+      }
+
+      text = newText;
+    },
+
+    record: (edits, newText) => {
+      for (let {startIndex, endIndex, original, replacement, item} of edits) {
+        applyChange({ startIndex, endIndex, length: replacement.length });
+        records.push({ startIndex, endIndex: startIndex + replacement.length, original, replacement, rule: item });
+      }
+
+      records = records.slice(-maxHistoryLength);
+      text = newText;
+    }
+  };
+
+  // Drops any record that overlaps the changed text, and moves the ones after
+  // it along.
+  const applyChange = ({startIndex, endIndex, length}) => {
+    let delta = length - (endIndex - startIndex);
+
+    records = records.filter((record) => {
+      if (record.endIndex <= startIndex) return true;
+      if (record.startIndex < endIndex) return false;
+
+      record.startIndex += delta;
+      record.endIndex += delta;
+      return true;
+    });
+
+    // NB: Text typed right after the suppressed range isn't part of it.
+    let range = history.suppressedRange;
+    if (!range || range.endIndex <= startIndex) return;
+
+    if (range.startIndex >= endIndex) {
+      range.startIndex += delta;
+      range.endIndex += delta;
+    } else {
+      range.endIndex = Math.max(range.endIndex + delta, range.startIndex);
+    }
+  };
+
+  return history;
+}
+
+/**
+ * Returns the history of the given element, creating it if needed.
+ *
+ * @param  {EventTarget} element  The element where text is substituted
+ * @param  {String} text          The element's text, if it has no history yet
+ * @return {SubstitutionHistory}  The element's history
+ */
+export function getElementHistory(element, text = '') {
+  let history = elementHistories.get(element);
+  if (!history) {
+    history = createSubstitutionHistory(text);
+    elementHistories.set(element, history);
+  }
+
+  return history;
+}
+
+/**
+ * True if the given element has substitutions that may still be reverted.
+ * Every element that's listened to has a history, so this checks for records.
+ *
+ * @param  {EventTarget} element  The element to check
+ * @return {Bool}                 True if its history has any records
+ */
+export function hasElementHistory(element) {
+  let history = elementHistories.get(element);
+  return !!history && history.getRecords().length > 0;
+}
+
+/**
+ * Finds the single change that turns one text into another, as the range of
+ * the old text that was replaced and the length of what replaced it. Where
+ * that's ambiguous (e.g., typing a letter next to the same letter), the
+ * change is placed just before the caret.
+ *
+ * @param  {String} oldText  The text before the change
+ * @param  {String} newText  The text after the change
+ * @param  {Number} caret    The index of the caret in `newText`
+ * @return {Object}          The `startIndex` and `endIndex` of the change in
+ *                           `oldText`, and the `length` of the new text
+ */
+export function getTextChange(oldText, newText, caret = newText.length) {
+  let maxSuffix = Math.min(oldText.length, Math.max(newText.length - caret, 0));
+  let suffix = 0;
+  while (suffix < maxSuffix &&
+    oldText[oldText.length - 1 - suffix] === newText[newText.length - 1 - suffix]) {
+    suffix++;
+  }
+
+  let maxPrefix = Math.min(oldText.length, newText.length) - suffix;
+  let prefix = 0;
+  while (prefix < maxPrefix && oldText[prefix] === newText[prefix]) prefix++;
+
+  return {
+    startIndex: prefix,
+    endIndex: oldText.length - suffix,
+    length: newText.length - suffix - prefix
+  };
+}
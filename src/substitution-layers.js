@@ -0,0 +1,107 @@
+import {Subject} from 'rxjs/Subject';
+import {Subscription} from 'rxjs/Subscription';
+
+/**
+ * A substitution layer is a set of text substitutions that an app adds on top
+ * of the user's own, like team-wide shortcuts or product names. Layers are
+ * given in order of precedence: for each `replace` string, the first layer
+ * that has an entry for it wins, and the user's system substitutions always
+ * come last. An entry with `on: false` turns that substitution off, even if a
+ * lower layer has it.
+ *
+ * A layer can be a plain array of `TextSubstitution`s, or created with
+ * `createSubstitutionLayer` so that it can change later.
+ *
+ * @typedef {Object} SubstitutionLayer
+ * @property {Function} read      Returns the current array of `TextSubstitution`s
+ * @property {Function} onChange  Calls the given method whenever the layer
+ *                                changes; returns a `Subscription` that removes it
+ */
+
+/**
+ * Creates a layer of substitutions that can be updated. Every element using
+ * the layer picks up changes right away.
+ *
+ * @param  {Array<TextSubstitution>} initialSubstitutions  The starting substitutions
+ * @return {SubstitutionLayer}                             The layer, with an extra `update` method
+ */
+export function createSubstitutionLayer(initialSubstitutions = []) {
+  let substitutions = initialSubstitutions;
+  const changed = new Subject();
+
+  return {
+    read: () => substitutions,
+    onChange: (callback) => changed.subscribe(callback),
+    update: (newSubstitutions) => {
+      substitutions = newSubstitutions;
+      changed.next(substitutions);
+    }
+  };
+}
+
+/**
+ * Merges arrays of substitutions, in order of precedence. Only the first
+ * entry for each `replace` string is kept, whether or not it's on.
+ *
+ * @param  {Array<Array<TextSubstitution>>} substitutionSets  Sets of substitutions, highest precedence first
+ * @return {Array<TextSubstitution>}                          The merged substitutions
+ */
+export function mergeSubstitutions(substitutionSets) {
+  let seen = new Set();
+  let merged = [];
+
+  for (let substitutions of substitutionSets) {
+    for (let substitution of substitutions || []) {
+      if (seen.has(substitution.replace)) continue;
+
+      seen.add(substitution.replace);
+      merged.push(substitution);
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Returns text preferences with the substitutions from each layer merged over
+ * the user's own.
+ *
+ * @param  {TextPreferences} textPreferences    The user's text preferences
+ * @param  {Array<SubstitutionLayer>} layers    The layers to add, highest precedence first
+ * @return {TextPreferences}                    The combined text preferences
+ */
+export function applySubstitutionLayers(textPreferences, layers = []) {
+  if (layers.length === 0) return textPreferences;
+
+  return {
+    ...textPreferences,
+    substitutions: mergeSubstitutions([
+      ...layers.map((layer) => readSubstitutionLayer(layer)),
+      textPreferences.substitutions
+    ])
+  };
+}
+
+/**
+ * Calls the given method whenever any of the layers change.
+ *
+ * @param  {Array<SubstitutionLayer>} layers  The layers to observe
+ * @param  {Function} callback                Called on each change
+ * @return {Subscription}                     A `Subscription` that will stop observing them
+ */
+export function onSubstitutionLayersChanged(layers = [], callback) {
+  const ret = new Subscription();
+
+  for (let layer of layers) {
+    if (!Array.isArray(layer)) ret.add(layer.onChange(callback));
+  }
+
+  return ret;
+}
+
+/**
+ * Returns the substitutions in a layer, which might be a plain array.
+ */
+function readSubstitutionLayer(layer) {
+  return Array.isArray(layer) ? layer : layer.read();
+}
@@ -0,0 +1,95 @@
+/**
+ * Finds the replacement items that might match some text, without running
+ * every item's regular expression. Items that replace a fixed string (like
+ * the user's dictionary) are compiled into a trie, so looking them up costs
+ * the same whether there are ten or ten thousand; the rest (like smart quotes)
+ * are always candidates.
+ *
+ * @typedef {Object} SubstitutionMatcher
+ * @property {Set<String>} matches      The fixed strings replaced by any item
+ * @property {Function} getCandidates   Returns the indices of items that might
+ *                                      match some text, in order
+ */
+
+const matcherCache = new WeakMap();
+
+/**
+ * Compiles replacement items into a matcher.
+ *
+ * @param  {Array<ReplacementItem>} replacementItems  An array of replacement items
+ * @return {SubstitutionMatcher}                      The matcher
+ */
+export function createSubstitutionMatcher(replacementItems) {
+  const trie = createTrieNode();
+  const alwaysCandidates = [];
+  const matches = new Set();
+
+  replacementItems.forEach(({match}, index) => {
+    if (typeof match !== 'string' || match.length === 0) {
+      alwaysCandidates.push(index);
+      return;
+    }
+
+    // NB: Keys are lowercase, so that items that match any case are found;
+    // the item's regular expression has the final say.
+    let node = trie;
+    for (let character of match.toLowerCase()) {
+      if (!node.children.has(character)) node.children.set(character, createTrieNode());
+      node = node.children.get(character);
+    }
+
+    node.items.push(index);
+    matches.add(match);
+  });
+
+  /**
+   * Returns the indices of items that might match the given text, in the order
+   * they appear in `replacementItems`, skipping any before `fromIndex`.
+   *
+   * @param  {String} text        The text to search, usually the word before the caret
+   * @param  {Number} fromIndex   The first index to include
+   * @return {Array<Number>}      The indices of candidate items
+   */
+  const getCandidates = (text, fromIndex = 0) => {
+    let found = new Set(alwaysCandidates);
+    let characters = Array.from(text.toLowerCase());
+
+    for (let start = 0; start < characters.length; start++) {
+      let node = trie;
+
+      for (let position = start; position < characters.length; position++) {
+        node = node.children.get(characters[position]);
+        if (!node) break;
+
+        for (let index of node.items) found.add(index);
+      }
+    }
+
+    return Array.from(found)
+      .filter((index) => index >= fromIndex)
+      .sort((a, b) => a - b);
+  };
+
+  return {matches, getCandidates};
+}
+
+/**
+ * Returns the matcher for the given replacement items, compiling it the first
+ * time they're used.
+ *
+ * @param  {Array<ReplacementItem>} replacementItems  An array of replacement items
+ * @return {SubstitutionMatcher}                      The matcher
+ */
+export function getSubstitutionMatcher(replacementItems) {
+  let matcher = matcherCache.get(replacementItems);
+  if (!matcher) {
+    matcher = createSubstitutionMatcher(replacementItems);
+    matcherCache.set(replacementItems, matcher);
+  }
+
+  return matcher;
+}
+
+function createTrieNode() {
+  return { children: new Map(), items: [] };
+}
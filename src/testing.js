@@ -0,0 +1,329 @@
+import {getElementText, getSelectionIndices, setSelectionRange, insertTextAtSelection,
+  isTextField, getOwnerWindow} from './dom-text';
+
+/**
+ * Helpers that simulate a user editing an element, for testing editors that
+ * use text substitution. They fire the same events a browser would, in the
+ * same order, and edit the text themselves where the browser would, so they
+ * work under jsdom as well as in an Electron renderer. Outside of Electron,
+ * pass the text preferences to `performTextSubstitution` directly:
+ *
+ *     performTextSubstitution(input, { substitutions: [{ replace: 'omw', with: 'On my way!' }] });
+ *     typeText(input, 'omw ');
+ *     assert.equal(input.value, 'On my way! ');
+ */
+
+const keys = {
+  backspace: { key: 'Backspace', code: 'Backspace', keyCode: 8 },
+  tab: { key: 'Tab', code: 'Tab', keyCode: 9 },
+  enter: { key: 'Enter', code: 'Enter', keyCode: 13 },
+  delete: { key: 'Delete', code: 'Delete', keyCode: 46 },
+  process: { key: 'Process', code: '', keyCode: 229 }
+};
+
+// NB: Typed as-is, these characters are key presses instead.
+const keysForCharacters = { '\n': 'enter', '\t': 'tab', '\b': 'backspace' };
+
+const histories = new WeakMap();
+
+/**
+ * Types text into the element one character at a time, as though each was a
+ * key press: `keydown`, then `input`, then `keyup`. A newline presses enter,
+ * a tab presses tab and `\b` presses backspace.
+ *
+ * @param  {Element} element  The element being edited
+ * @param  {String} text      The text to type
+ */
+export function typeText(element, text) {
+  for (let character of Array.from(text)) {
+    pressKey(element, keysForCharacters[character] || character);
+  }
+}
+
+/**
+ * Presses a key in the element, and does what a browser would if nothing
+ * prevents it: a character is inserted, `backspace` and `delete` delete the
+ * selection or the character next to the caret, and `enter` inserts a newline
+ * anywhere but an `input`.
+ *
+ * @param  {Element} element    The element being edited
+ * @param  {String} key         A single character, or `backspace`, `delete`, `tab` or `enter`
+ * @param  {Object} modifiers   Any of `shiftKey`, `ctrlKey`, `altKey` and `metaKey`
+ * @return {Bool}               False if the `keydown` event was cancelled
+ */
+export function pressKey(element, key, modifiers = {}) {
+  focus(element);
+
+  let notCancelled = dispatchKeyEvent(element, 'keydown', key, modifiers);
+  if (notCancelled) performKeyAction(element, key, modifiers);
+
+  dispatchKeyEvent(element, 'keyup', key, modifiers);
+  return notCancelled;
+}
+
+/**
+ * Presses backspace in the element.
+ *
+ * @param  {Element} element    The element being edited
+ * @return {Bool}               False if the `keydown` event was cancelled
+ */
+export function pressBackspace(element) {
+  return pressKey(element, 'backspace');
+}
+
+/**
+ * Pastes text into the element, as if with the keyboard shortcut. The text is
+ * inserted unless the `paste` event is cancelled.
+ *
+ * @param  {Element} element        The element being edited
+ * @param  {String} text            The text on the clipboard
+ * @param  {Bool} {shiftKey}        True to hold shift, which pastes text as-is
+ * @return {Bool}                   False if the `paste` event was cancelled
+ */
+export function pasteText(element, text, {shiftKey = false} = {}) {
+  focus(element);
+
+  let modifiers = { ...getShortcutModifiers(), shiftKey };
+  dispatchKeyEvent(element, 'keydown', 'v', modifiers);
+
+  let pasteEvent = createEvent(element, 'Event', 'paste', { cancelable: true });
+  Object.defineProperty(pasteEvent, 'clipboardData', {
+    value: { getData: (type) => type === 'text/plain' ? text : '' }
+  });
+
+  let notCancelled = element.dispatchEvent(pasteEvent);
+  if (notCancelled) editText(element, 'insertFromPaste', text, () => insertTextAtSelection(element, text));
+
+  dispatchKeyEvent(element, 'keyup', 'v', modifiers);
+  return notCancelled;
+}
+
+/**
+ * Composes text with an input method, like a Japanese or Korean IME. Each
+ * step replaces the text composed so far, and the last is committed; e.g.,
+ * `['ㅎ', '하', '한']`.
+ *
+ * @param  {Element} element              The element being edited
+ * @param  {Array<String>|String} steps   The composed text after each key press
+ */
+export function composeText(element, steps) {
+  focus(element);
+
+  let compositions = typeof steps === 'string' ? [steps] : steps;
+  let {startIndex} = getSelectionIndices(element);
+  let before = getSnapshot(element);
+  let composed = '';
+
+  element.dispatchEvent(createEvent(element, 'CompositionEvent', 'compositionstart', { data: '' }));
+
+  for (let composition of compositions) {
+    dispatchKeyEvent(element, 'keydown', 'process');
+    element.dispatchEvent(createEvent(element, 'CompositionEvent', 'compositionupdate', { data: composition }));
+
+    setSelectionRange(element, startIndex, startIndex + composed.length);
+    editText(element, 'insertCompositionText', composition, () => insertTextAtSelection(element, composition), true);
+    composed = composition;
+
+    dispatchKeyEvent(element, 'keyup', 'process');
+  }
+
+  let after = getSnapshot(element);
+  element.dispatchEvent(createEvent(element, 'CompositionEvent', 'compositionend', { data: composed }));
+  addToHistory(element, before, after);
+}
+
+/**
+ * Undoes the last edit made to the element with these helpers, as if with
+ * the keyboard shortcut. A substitution is undone on its own, before the
+ * edit that triggered it, as it would be in a browser.
+ *
+ * @param  {Element} element    The element being edited
+ * @return {Bool}               True if there was anything to undo
+ */
+export function undo(element) {
+  return restoreFromHistory(element, 'undo', getShortcutModifiers(), 'z');
+}
+
+/**
+ * Redoes the last edit undone with `undo`, as if with the keyboard shortcut.
+ *
+ * @param  {Element} element    The element being edited
+ * @return {Bool}               True if there was anything to redo
+ */
+export function redo(element) {
+  return process.platform === 'darwin' ?
+    restoreFromHistory(element, 'redo', { metaKey: true, shiftKey: true }, 'z') :
+    restoreFromHistory(element, 'redo', { ctrlKey: true }, 'y');
+}
+
+/**
+ * Moves the caret within the element, or selects some of its text.
+ *
+ * @param  {Element} element      The element being edited
+ * @param  {Number} startIndex    Where the selection starts; defaults to the end of the text
+ * @param  {Number} endIndex      Where it ends; defaults to `startIndex`
+ */
+export function setCaret(element, startIndex = getElementText(element).length, endIndex = startIndex) {
+  focus(element);
+  setSelectionRange(element, startIndex, endIndex);
+}
+
+/**
+ * Does what a browser would after an uncancelled `keydown`.
+ */
+function performKeyAction(element, key, {ctrlKey, altKey, metaKey}) {
+  if (key === 'backspace' || key === 'delete') {
+    let {startIndex, endIndex} = getSelectionIndices(element);
+    if (startIndex === endIndex) {
+      if (key === 'backspace') startIndex = Math.max(startIndex - 1, 0);
+      else endIndex = Math.min(endIndex + 1, getElementText(element).length);
+    }
+
+    if (startIndex === endIndex) return;
+
+    setSelectionRange(element, startIndex, endIndex);
+    let inputType = key === 'backspace' ? 'deleteContentBackward' : 'deleteContentForward';
+    editText(element, inputType, null, () => insertTextAtSelection(element, ''));
+    return;
+  }
+
+  if (key === 'enter') {
+    if (isTextField(element) && element.tagName.toUpperCase() === 'INPUT') return;
+    editText(element, 'insertLineBreak', null, () => insertTextAtSelection(element, '\n'));
+    return;
+  }
+
+  if (keys[key] || ctrlKey || altKey || metaKey) return;
+  editText(element, 'insertText', key, () => insertTextAtSelection(element, key));
+}
+
+/**
+ * Makes a change to the element's text, then fires an `input` event for it.
+ * Anything the event's listeners change (like a substitution) becomes an edit
+ * of its own in the element's history.
+ */
+function editText(element, inputType, data, change, isComposing = false) {
+  let before = getSnapshot(element);
+  change();
+  let after = getSnapshot(element);
+
+  element.dispatchEvent(createEvent(element, 'InputEvent', 'input', { inputType, data, isComposing }));
+  if (!isComposing) addToHistory(element, before, after);
+}
+
+/**
+ * Returns the history of edits made to the element with these helpers.
+ */
+function getHistory(element) {
+  let history = histories.get(element);
+  if (!history) {
+    history = { undo: [], redo: [] };
+    histories.set(element, history);
+  }
+
+  return history;
+}
+
+/**
+ * Records an edit to the element, given its state before the edit and just
+ * after it, before anything listening had a chance to change it.
+ */
+function addToHistory(element, before, after) {
+  let history = getHistory(element);
+  history.undo.push(before);
+  if (getSnapshot(element).content !== after.content) history.undo.push(after);
+  history.redo = [];
+}
+
+/**
+ * Presses the undo or redo shortcut, and if nothing prevents it, restores the
+ * element to its state before the last edit (or after the last undo).
+ */
+function restoreFromHistory(element, direction, modifiers, key) {
+  focus(element);
+
+  let history = getHistory(element);
+  let [from, to] = direction === 'undo' ? [history.undo, history.redo] : [history.redo, history.undo];
+  let restored = false;
+
+  if (dispatchKeyEvent(element, 'keydown', key, modifiers) && from.length > 0) {
+    to.push(getSnapshot(element));
+    restoreSnapshot(element, from.pop());
+
+    let inputType = direction === 'undo' ? 'historyUndo' : 'historyRedo';
+    element.dispatchEvent(createEvent(element, 'InputEvent', 'input', { inputType, data: null }));
+    restored = true;
+  }
+
+  dispatchKeyEvent(element, 'keyup', key, modifiers);
+  return restored;
+}
+
+/**
+ * Returns the element's content and selection, so they can be restored.
+ */
+function getSnapshot(element) {
+  let content = isTextField(element) ? element.value : element.innerHTML;
+  return { content, ...getSelectionIndices(element) };
+}
+
+/**
+ * Restores the element's content and selection from a snapshot.
+ */
+function restoreSnapshot(element, {content, startIndex, endIndex}) {
+  if (isTextField(element)) {
+    element.value = content;
+  } else {
+    element.innerHTML = content;
+  }
+
+  setSelectionRange(element, startIndex, endIndex);
+}
+
+/**
+ * Fires a `keydown` or `keyup` event for a key, returning false if it was
+ * cancelled.
+ */
+function dispatchKeyEvent(element, type, key, modifiers = {}) {
+  let {key: keyName, code, keyCode} = keys[key] || getCharacterKey(key);
+  let keyEvent = createEvent(element, 'KeyboardEvent', type, { key: keyName, code, ...modifiers, cancelable: true });
+
+  // NB: `keyCode` can't be passed to the constructor, but it's what we check.
+  Object.defineProperty(keyEvent, 'keyCode', { value: keyCode });
+  Object.defineProperty(keyEvent, 'which', { value: keyCode });
+
+  return element.dispatchEvent(keyEvent);
+}
+
+/**
+ * Returns the `key`, `code` and `keyCode` of a character's key.
+ */
+function getCharacterKey(character) {
+  let upperCase = character.toUpperCase();
+  if (/^[A-Z]$/.test(upperCase)) return { key: character, code: `Key${upperCase}`, keyCode: upperCase.charCodeAt(0) };
+  if (/^[0-9]$/.test(character)) return { key: character, code: `Digit${character}`, keyCode: character.charCodeAt(0) };
+  return { key: character, code: '', keyCode: 0 };
+}
+
+/**
+ * Returns the modifier keys for shortcuts like undo and paste.
+ */
+function getShortcutModifiers() {
+  return process.platform === 'darwin' ? { metaKey: true } : { ctrlKey: true };
+}
+
+/**
+ * Creates an event of the given type in the element's own window, which
+ * bubbles unless told otherwise.
+ */
+function createEvent(element, constructorName, type, init = {}) {
+  let Constructor = getOwnerWindow(element)[constructorName];
+  return new Constructor(type, { bubbles: true, ...init });
+}
+
+/**
+ * Focuses the element, if it isn't already.
+ */
+function focus(element) {
+  if (element.ownerDocument.activeElement !== element && element.focus) element.focus();
+}
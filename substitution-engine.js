@@ -0,0 +1 @@
+module.exports = require('./lib/substitution-engine');
\ No newline at end of file
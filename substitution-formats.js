@@ -0,0 +1 @@
+module.exports = require('./lib/substitution-formats');
\ No newline at end of file
@@ -0,0 +1,46 @@
+import assert from 'assert';
+import {addAutocorrectEntries, getAutocorrectSubstitutions} from '../src/autocorrect';
+
+function find(substitutions, replace) {
+  return substitutions.find((substitution) => substitution.replace === replace);
+}
+
+describe('the getAutocorrectSubstitutions method', () => {
+  it('should return the pack for the language, matching any case', () => {
+    let substitutions = getAutocorrectSubstitutions('fr_CA');
+
+    assert.deepEqual(find(substitutions, 'deja'), { replace: 'deja', with: 'déjà', matchCase: false });
+    assert(!find(substitutions, 'teh'));
+  });
+
+  it('should return nothing for languages without a pack', () => {
+    assert.deepEqual(getAutocorrectSubstitutions('ja-JP'), []);
+  });
+
+  it('should leave out exclusions', () => {
+    assert(!find(getAutocorrectSubstitutions('en', ['TEH']), 'teh'));
+  });
+});
+
+describe('the addAutocorrectEntries method', () => {
+  it('should add to and override the built-in pack until unsubscribed', () => {
+    let language = addAutocorrectEntries('en', { Acme: 'ACME', teh: 'tea', alot: null });
+    let locale = addAutocorrectEntries('en_GB', { color: 'colour' });
+
+    let british = getAutocorrectSubstitutions('en-GB');
+    assert.equal(find(british, 'acme').with, 'ACME');
+    assert.equal(find(british, 'teh').with, 'tea');
+    assert.equal(find(british, 'color').with, 'colour');
+    assert(!find(british, 'alot'));
+    assert(!find(getAutocorrectSubstitutions('en-US'), 'color'));
+
+    language.unsubscribe();
+    locale.unsubscribe();
+    assert.equal(find(getAutocorrectSubstitutions('en-GB'), 'teh').with, 'the');
+    assert(!find(getAutocorrectSubstitutions('en-GB'), 'color'));
+  });
+
+  it('should require a language', () => {
+    assert.throws(() => addAutocorrectEntries('', { teh: 'the' }));
+  });
+});
@@ -0,0 +1,67 @@
+import assert from 'assert';
+import {code, url, email, mention, hashtag, getContextDetectors, splitAtCode} from '../src/context-detectors';
+
+describe('the context detectors', () => {
+  it('should detect inline code and code fences', () => {
+    assert(code('run `npm --', 11));
+    assert(code('```\nnpm --', 8));
+    assert(code('```js', 5));
+    assert(!code('run `npm` --', 12));
+    assert(!code('```\nnpm\n```\nand --', 17));
+    assert(!code('escaped \\` --', 12));
+  });
+
+  it('should detect URLs', () => {
+    assert(url('see https://foo--bar.com', 15));
+    assert(url('(www.foo--bar.com', 8));
+    assert(!url('see foo--bar', 7));
+  });
+
+  it('should detect email addresses', () => {
+    assert(email('write to first--last@example.com', 14));
+    assert(!email('first--last', 5));
+  });
+
+  it('should detect mentions and hashtags', () => {
+    assert(mention('hey @it\'s', 7));
+    assert(!mention('hey it\'s', 6));
+    assert(hashtag('so #it\'s', 6));
+    assert(!hashtag('so # it\'s', 7));
+  });
+});
+
+describe('the getContextDetectors method', () => {
+  it('should use every built-in detector by default', () => {
+    assert.deepEqual(getContextDetectors(), [code, url, email, mention, hashtag]);
+  });
+
+  it('should use the given built-in and custom detectors', () => {
+    let custom = () => false;
+    assert.deepEqual(getContextDetectors({ suppressIn: ['url'], contextDetectors: [custom] }), [url, custom]);
+  });
+
+  it('should throw for unknown contexts', () => {
+    assert.throws(() => getContextDetectors({ suppressIn: ['nope'] }));
+  });
+});
+
+describe('the splitAtCode method', () => {
+  it('should split text into runs of code and everything else', () => {
+    let runs = splitAtCode('a `b` c\n```\nd\n```\ne \\`f` g');
+
+    assert.deepEqual(runs, [
+      { text: 'a ', code: false },
+      { text: '`b`', code: true },
+      { text: ' c', code: false },
+      { text: '\n', code: false },
+      { text: '```', code: true },
+      { text: '\n', code: false },
+      { text: 'd', code: true },
+      { text: '\n', code: false },
+      { text: '```', code: true },
+      { text: '\n', code: false },
+      { text: 'e \\`f', code: false },
+      { text: '` g', code: true }
+    ]);
+  });
+});
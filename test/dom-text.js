@@ -0,0 +1,185 @@
+import assert from 'assert';
+import {getElementText, getCaretIndex, setSelectionRange, getEditableElement, insertTextAtSelection,
+  getOwnerDocument, getOwnerWindow, objectReplacementCharacter} from '../src/dom-text';
+
+describe('the dom-text helpers', () => {
+  let element;
+
+  beforeEach(() => {
+    element = document.createElement('div');
+    element.setAttribute('contenteditable', 'true');
+    document.body.appendChild(element);
+  });
+
+  afterEach(() => {
+    document.body.removeChild(element);
+    element = null;
+  });
+
+  function setCaret(node, offset) {
+    let range = document.createRange();
+    range.setStart(node, offset);
+    range.collapse(true);
+
+    let selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+  }
+
+  function getSelectedText() {
+    return window.getSelection().toString();
+  }
+
+  describe('the getElementText method', () => {
+    it('should flatten nested formatting', () => {
+      element.innerHTML = 'one <b>two <i>three</i></b> four';
+      assert.equal(getElementText(element), 'one two three four');
+    });
+
+    it('should turn line breaks and blocks into newlines', () => {
+      element.innerHTML = 'one<br>two<div>three</div><div><p>four</p></div>five';
+      assert.equal(getElementText(element), 'one\ntwo\nthree\nfour\nfive');
+    });
+
+    it('should turn atomic inline nodes into a single character', () => {
+      element.innerHTML = 'hi <img alt="😄"> and <span contenteditable="false">@charlie</span>!';
+      assert.equal(getElementText(element), `hi ${objectReplacementCharacter} and ${objectReplacementCharacter}!`);
+    });
+
+    it('should return the value of inputs', () => {
+      let input = document.createElement('input');
+      input.value = 'some text';
+      assert.equal(getElementText(input), 'some text');
+    });
+  });
+
+  describe('the getCaretIndex method', () => {
+    it('should find the caret within nested formatting', () => {
+      element.innerHTML = 'one <b>two <i>three</i></b> four';
+      setCaret(element.querySelector('i').firstChild, 2);
+      assert.equal(getCaretIndex(element), 10);
+    });
+
+    it('should find the caret after line breaks and blocks', () => {
+      element.innerHTML = 'one<br>two<div>three</div>';
+      setCaret(element.querySelector('div').firstChild, 5);
+      assert.equal(getCaretIndex(element), 13);
+
+      setCaret(element, 2);
+      assert.equal(getCaretIndex(element), 4);
+    });
+
+    it('should find the caret after atomic inline nodes', () => {
+      element.innerHTML = 'hi <span contenteditable="false">@charlie</span> omw';
+      setCaret(element.lastChild, 4);
+      assert.equal(getCaretIndex(element), 8);
+
+      setCaret(element, 2);
+      assert.equal(getCaretIndex(element), 4);
+    });
+
+    it('should treat a missing caret as being at the end', () => {
+      element.innerHTML = 'one<br>two';
+      window.getSelection().removeAllRanges();
+      assert.equal(getCaretIndex(element), 7);
+    });
+  });
+
+  describe('the setSelectionRange method', () => {
+    it('should select text across nested formatting', () => {
+      element.innerHTML = 'one <b>two <i>three</i></b> four';
+      setSelectionRange(element, 4, 13);
+      assert.equal(getSelectedText(), 'two three');
+    });
+
+    it('should select text after line breaks and blocks', () => {
+      element.innerHTML = 'one<br>two<div>three</div><div><p>four</p></div>';
+      setSelectionRange(element, 8, 13);
+      assert.equal(getSelectedText(), 'three');
+
+      setSelectionRange(element, 14, 18);
+      assert.equal(getSelectedText(), 'four');
+    });
+
+    it('should select text after atomic inline nodes', () => {
+      element.innerHTML = 'hi <img alt=""> omw <span contenteditable="false">@charlie</span>omw';
+      setSelectionRange(element, 5, 8);
+      assert.equal(getSelectedText(), 'omw');
+
+      setSelectionRange(element, 10, 13);
+      assert.equal(getSelectedText(), 'omw');
+    });
+
+    it('should place a collapsed caret that round-trips', () => {
+      element.innerHTML = 'one<br>two<div>th<b>ree</b></div>';
+      for (let index = 0; index <= 13; index++) {
+        setSelectionRange(element, index, index);
+        assert.equal(getCaretIndex(element), index);
+      }
+    });
+  });
+
+  describe('the insertTextAtSelection method', () => {
+    it('should replace the selection across formatting, leaving the caret after it', () => {
+      element.innerHTML = 'one <b>two</b> three';
+      setSelectionRange(element, 4, 8);
+      insertTextAtSelection(element, '2 ');
+
+      assert.equal(getElementText(element), 'one 2 three');
+      assert.equal(getCaretIndex(element), 6);
+    });
+
+    it('should replace the selection in a text field', () => {
+      let input = document.createElement('input');
+      document.body.appendChild(input);
+      input.value = 'one two';
+
+      setSelectionRange(input, 4, 7);
+      insertTextAtSelection(input, '2');
+      assert.equal(input.value, 'one 2');
+      assert.equal(getCaretIndex(input), 5);
+
+      document.body.removeChild(input);
+    });
+  });
+
+  describe('the getEditableElement method', () => {
+    it('should find the editing host of nested content', () => {
+      element.innerHTML = 'one <b>two</b> <span contenteditable="false">three</span>';
+      let [bold, span] = element.children;
+
+      assert.equal(getEditableElement(bold), element);
+      assert.equal(getEditableElement(bold.firstChild), element);
+      assert.equal(getEditableElement(span), null);
+    });
+
+    it('should only return text fields', () => {
+      element.innerHTML = '<input><input type="search"><input type="password"><textarea></textarea>';
+      let [text, search, password, textarea] = element.children;
+
+      assert.equal(getEditableElement(text), text);
+      assert.equal(getEditableElement(search), search);
+      assert.equal(getEditableElement(password), null);
+      assert.equal(getEditableElement(textarea), textarea);
+      assert.equal(getEditableElement(document.body), null);
+    });
+  });
+
+  describe('the getOwnerDocument method', () => {
+    it('should use the document the element is in', () => {
+      let iframe = document.createElement('iframe');
+      document.body.appendChild(iframe);
+
+      let frameDocument = iframe.contentDocument;
+      let frameElement = frameDocument.createElement('div');
+      frameDocument.body.appendChild(frameElement);
+
+      assert.equal(getOwnerDocument(element), document);
+      assert.equal(getOwnerDocument(frameElement), frameDocument);
+      assert.equal(getOwnerDocument(frameDocument), frameDocument);
+      assert.equal(getOwnerWindow(frameElement), iframe.contentWindow);
+
+      document.body.removeChild(iframe);
+    });
+  });
+});
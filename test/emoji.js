@@ -0,0 +1,19 @@
+import assert from 'assert';
+import {getEmoji} from '../src/emoji';
+
+describe('the getEmoji method', () => {
+  it('should find emoji by name or alias', () => {
+    assert.equal(getEmoji('smile'), '😄');
+    assert.equal(getEmoji('thumbsup'), '👍');
+    assert.equal(getEmoji('+1'), '👍');
+    assert.equal(getEmoji('not_an_emoji'), null);
+  });
+
+  it('should apply skin tones to emoji that have them', () => {
+    assert.equal(getEmoji('wave_tone3'), '👋\u{1f3fd}');
+    assert.equal(getEmoji('thumbsup', { skinTone: 1 }), '👍\u{1f3fb}');
+    assert.equal(getEmoji('+1_tone5', { skinTone: 1 }), '👍\u{1f3ff}');
+    assert.equal(getEmoji('v_tone2'), '✌\u{1f3fc}');
+    assert.equal(getEmoji('smile', { skinTone: 2 }), '😄');
+  });
+});
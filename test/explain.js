@@ -0,0 +1,128 @@
+import assert from 'assert';
+import {explain, formatExplanation} from '../src/explain';
+
+function findRule(explanation, rule) {
+  return explanation.rules.find((explained) => explained.rule === rule);
+}
+
+describe('the explain method', () => {
+  it('should explain a substitution that fires', () => {
+    let explanation = explain('say omw ', 8, {
+      preferences: { substitutions: [{ replace: 'omw', with: 'on my way' }] }
+    });
+
+    let rule = findRule(explanation, 'omw');
+    assert.equal(rule.kind, 'user');
+    assert(rule.matched && rule.fired);
+    assert.equal(rule.reason, null);
+    assert.equal(rule.edit.replacement, 'on my way');
+    assert.equal(explanation.edits.length, 1);
+  });
+
+  it('should explain substitutions that are turned off or do nothing', () => {
+    let explanation = explain('omw ', 4, {
+      preferences: {
+        substitutions: [
+          { replace: 'omw', with: 'on my way', on: false },
+          { replace: 'mw', with: 'mw' }
+        ]
+      }
+    });
+
+    assert.equal(findRule(explanation, 'omw').reason, 'disabled');
+    assert.equal(findRule(explanation, 'mw').reason, 'identical');
+    assert.deepEqual(explanation.edits, []);
+  });
+
+  it('should explain a substitution that is waiting for its trigger', () => {
+    let explanation = explain('omw', 3, {
+      preferences: { substitutions: [{ replace: 'omw', with: 'on my way' }] }
+    });
+
+    let rule = findRule(explanation, 'omw');
+    assert(!rule.matched && !rule.fired);
+    assert.equal(rule.reason, 'awaiting-trigger');
+  });
+
+  it('should explain a substitution that only a trigger key fires', () => {
+    let options = {
+      preferences: { substitutions: [{ replace: 'omw', with: 'on my way' }] },
+      triggers: { boundaries: [], keys: ['tab'] }
+    };
+
+    assert.equal(findRule(explain('omw', 3, options), 'omw').reason, 'awaiting-trigger');
+    assert(findRule(explain('omw', 3, { ...options, key: 'tab' }), 'omw').fired);
+  });
+
+  it('should explain a substitution that is the start of a longer one', () => {
+    let explanation = explain('omw ', 4, {
+      preferences: {
+        substitutions: [
+          { replace: 'omw', with: 'on my way' },
+          { replace: 'omw ', with: 'on my way, ' }
+        ]
+      }
+    });
+
+    assert.equal(findRule(explanation, 'omw').reason, 'prefix');
+    assert.equal(findRule(explanation, 'omw ').reason, 'awaiting-trigger');
+  });
+
+  it('should explain a substitution that is suppressed in a context', () => {
+    let explanation = explain('`omw ', 5, {
+      preferences: { substitutions: [{ replace: 'omw', with: 'on my way' }] }
+    });
+
+    let rule = findRule(explanation, 'omw');
+    assert(rule.matched && !rule.fired);
+    assert.equal(rule.reason, 'context');
+    assert.equal(rule.context, 'code');
+  });
+
+  it('should explain autocorrect and smart typography', () => {
+    let options = {
+      preferences: { substitutions: [], useAutocorrect: true, useSmartDashes: true, locale: 'en' }
+    };
+
+    let rule = findRule(explain('teh ', 4, options), 'teh');
+    assert.equal(rule.kind, 'autocorrect');
+    assert(rule.fired);
+
+    let {rules} = explain('a -- ', 5, options);
+    assert.deepEqual(rules.map(({kind, fired}) => [kind, fired]), [['smart', true]]);
+  });
+
+  it('should explain why nothing fires while input is ignored', () => {
+    let explanation = explain('omw ', 4, {
+      preferences: { substitutions: [{ replace: 'omw', with: 'on my way' }] },
+      state: 'paste'
+    });
+
+    assert.equal(explanation.state, 'paste');
+    assert.equal(findRule(explanation, 'omw').reason, 'paste');
+    assert.deepEqual(explanation.edits, []);
+  });
+});
+
+describe('the formatExplanation method', () => {
+  it('should describe each rule on its own line', () => {
+    let explanation = explain('omw ', 4, {
+      preferences: {
+        substitutions: [
+          { replace: 'omw', with: 'on my way' },
+          { replace: 'mw', with: 'my way', on: false }
+        ]
+      }
+    });
+
+    assert.equal(formatExplanation(explanation), [
+      'Before the caret: "omw "',
+      '✗ user "mw": turned off',
+      '✓ user "omw": "omw" → "on my way"'
+    ].join('\n'));
+  });
+
+  it('should say when no rules apply', () => {
+    assert.equal(formatExplanation(explain('hello ', 6)), 'Before the caret: "hello "\nNo rules apply');
+  });
+});
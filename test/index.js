@@ -2,7 +2,9 @@ import assert from 'assert';
 import {ipcRenderer} from 'electron';
 import {Observable} from 'rxjs';
 
-import performTextSubstitution, {preferenceChangedIpcMessage} from '../src';
+import performTextSubstitution, {performTextSubstitutionWithin, createSubstitutionLayer,
+  createBridgePreferenceProvider, getSubstitutionHistory, undoLastSubstitution, revertAll, registerShortcode,
+  preferenceChangedIpcMessage, preferenceProtocolVersion} from '../src';
 
 function inputText(inputElement, text) {
   let textEvent = document.createEvent('TextEvent');
@@ -10,6 +12,34 @@ function inputText(inputElement, text) {
   inputElement.dispatchEvent(textEvent);
 }
 
+function pressBackspace(inputElement) {
+  return pressKey(inputElement, 8);
+}
+
+function pressTab(inputElement) {
+  return pressKey(inputElement, 9);
+}
+
+function pressKey(inputElement, keyCode) {
+  let keyEvent = new KeyboardEvent('keydown', { bubbles: true, cancelable: true });
+  Object.defineProperty(keyEvent, 'keyCode', { value: keyCode });
+
+  let notCancelled = inputElement.dispatchEvent(keyEvent);
+  inputElement.dispatchEvent(new KeyboardEvent('keyup', { bubbles: true }));
+  return notCancelled;
+}
+
+function pasteText(inputElement, text, shiftKey = false) {
+  inputElement.dispatchEvent(new KeyboardEvent('keydown', { bubbles: true, shiftKey }));
+
+  let pasteEvent = new Event('paste', { bubbles: true, cancelable: true });
+  Object.defineProperty(pasteEvent, 'clipboardData', { value: { getData: () => text } });
+
+  // NB: Synthetic paste events don't insert anything themselves.
+  if (inputElement.dispatchEvent(pasteEvent)) inputText(inputElement, text);
+  inputElement.dispatchEvent(new KeyboardEvent('keyup', { bubbles: true, shiftKey }));
+}
+
 function typeText(inputElement, text) {
   return Observable.from(text)
     .subscribe((character) => inputText(inputElement, character));
@@ -59,6 +89,42 @@ describe('the performTextSubstitution method', () => {
     assert.equal(input.value, 'everything I do deserves… ಠ_ಠ and more disapproval.');
   });
 
+  it('should stop replacing when its window goes away', () => {
+    subscription = performTextSubstitution(input, {
+      substitutions: [{ replace: 'disapproval', with: 'ಠ_ಠ' }]
+    });
+
+    window.dispatchEvent(new Event('pagehide'));
+    assert(subscription.closed);
+
+    inputText(input, 'disapproval.');
+    assert.equal(input.value, 'disapproval.');
+  });
+
+  it('should expand emoji and registered shortcodes as they are typed', () => {
+    let registration = registerShortcode({ prefix: ';', expand: { sig: 'Best, Ada' } });
+    subscription = performTextSubstitution(input, { substitutions: [], emojiShortcodes: true });
+    registration.unsubscribe();
+
+    typeText(input, 'See you :wave: ;sig');
+    assert.equal(input.value, 'See you 👋 Best, Ada');
+  });
+
+  it('should substitute when a trigger key is pressed, and consume the key', () => {
+    subscription = performTextSubstitution(input, { substitutions: [{ replace: 'omw', with: 'on my way' }] }, {
+      triggers: { boundaries: [], keys: ['tab', 'enter'] }
+    });
+
+    typeText(input, 'omw');
+    assert.equal(input.value, 'omw');
+    assert(!pressTab(input));
+    assert.equal(input.value, 'on my way');
+
+    typeText(input, ' now');
+    assert(pressKey(input, 13));
+    assert.equal(input.value, 'on my way now');
+  });
+
   it('should handle multiple substitutions', () => {
     subscription = performTextSubstitution(input, {
       substitutions: [
@@ -153,6 +219,283 @@ describe('the performTextSubstitution method', () => {
     assert.equal(input.value, 'Hello— my name is ‘Milo,’ how do you do? ');
   });
 
+  it('should revert a substitution when backspace is pressed, if enabled', () => {
+    subscription = performTextSubstitution(input, {
+      substitutions: [{ replace: 'omw', with: 'On my way!' }]
+    }, { revertOnBackspace: true });
+
+    inputText(input, 'omw ');
+    assert.equal(input.value, 'On my way! ');
+
+    assert(!pressBackspace(input));
+    assert.equal(input.value, 'omw ');
+    assert.equal(input.selectionEnd, 4);
+
+    inputText(input, 'and omw ');
+    assert.equal(input.value, 'omw and On my way! ');
+  });
+
+  it('should not revert a substitution when backspace is pressed, by default', () => {
+    subscription = performTextSubstitution(input, {
+      substitutions: [{ replace: 'omw', with: 'On my way!' }]
+    });
+
+    inputText(input, 'omw ');
+    assert(pressBackspace(input));
+    assert.equal(input.value, 'On my way! ');
+  });
+
+  it('should emit events before and after a substitution', () => {
+    subscription = performTextSubstitution(input, {
+      substitutions: [{ replace: 'omw', with: 'On my way!' }]
+    });
+
+    let events = [];
+    subscription.events.subscribe((e) => events.push(e));
+
+    inputText(input, 'so omw ');
+    assert.equal(input.value, 'so On my way! ');
+
+    assert.deepEqual(events.map(({type}) => type), ['beforesubstitute', 'substituted']);
+    assert.equal(events[1].element, input);
+    assert.equal(events[1].rule.match, 'omw');
+    assert.equal(events[1].original, 'omw');
+    assert.equal(events[1].replacement, 'On my way!');
+    assert.deepEqual(events[1].range, { startIndex: 3, endIndex: 6 });
+  });
+
+  it('should let a beforesubstitute handler cancel or rewrite a substitution', () => {
+    subscription = performTextSubstitution(input, {
+      substitutions: [
+        { replace: 'omw', with: 'On my way!' },
+        { replace: 'brb', with: 'Be right back' }
+      ]
+    });
+
+    subscription.events
+      .filter(({type}) => type === 'beforesubstitute')
+      .subscribe((e) => {
+        if (e.original === 'omw') e.replacement = 'Coming!';
+        if (e.original === 'brb') e.preventDefault();
+      });
+
+    inputText(input, 'omw ');
+    inputText(input, 'brb ');
+    assert.equal(input.value, 'Coming! brb ');
+  });
+
+  it('should not substitute inside code, URLs or mentions', () => {
+    subscription = performTextSubstitution(input, {
+      substitutions: [],
+      useSmartQuotes: true,
+      useSmartDashes: true
+    });
+
+    typeText(input, 'run `ls --all` at https://foo--bar.com @it\'s ');
+    assert.equal(input.value, 'run `ls --all` at https://foo--bar.com @it\'s ');
+  });
+
+  it('should only suppress the given contexts', () => {
+    subscription = performTextSubstitution(input, {
+      substitutions: [],
+      useSmartDashes: true
+    }, {
+      suppressIn: ['url'],
+      contextDetectors: [(text, index) => text.lastIndexOf('[', index) > text.lastIndexOf(']', index)]
+    });
+
+    typeText(input, '`ls --all` [a--b] https://foo--bar.com ');
+    assert.equal(input.value, '`ls —all` [a--b] https://foo--bar.com ');
+  });
+
+  it('should merge substitution layers over the user substitutions', () => {
+    subscription = performTextSubstitution(input, {
+      substitutions: [{ replace: 'omw', with: 'On my way!' }, { replace: 'brb', with: 'Be right back' }]
+    }, {
+      substitutionLayers: [[{ replace: 'brb', with: 'Be right back!' }, { replace: 'omw', on: false }]]
+    });
+
+    inputText(input, 'omw ');
+    inputText(input, 'brb ');
+    assert.equal(input.value, 'omw Be right back! ');
+  });
+
+  it('should pick up changes to substitution layers', () => {
+    let layer = createSubstitutionLayer([{ replace: 'acme', with: 'ACME' }]);
+    subscription = performTextSubstitution(input, { substitutions: [] }, {
+      substitutionLayers: [layer]
+    });
+
+    inputText(input, 'acme ');
+    layer.update([{ replace: 'acme', with: 'ACME Corporation™' }]);
+    inputText(input, 'acme ');
+    assert.equal(input.value, 'ACME ACME Corporation™ ');
+  });
+
+  it('should pick up preference changes from the main process', () => {
+    subscription = performTextSubstitution(input, {
+      substitutions: [{ replace: 'omw', with: 'On my way!' }]
+    }, {
+      substitutionLayers: [[{ replace: 'acme', with: 'ACME' }]]
+    });
+
+    ipcRenderer.emit(preferenceChangedIpcMessage, {}, JSON.stringify({
+      version: preferenceProtocolVersion,
+      preferences: { substitutions: [{ replace: 'brb', with: 'Be right back' }] }
+    }));
+
+    inputText(input, 'omw ');
+    inputText(input, 'brb ');
+    inputText(input, 'acme ');
+    assert.equal(input.value, 'omw Be right back ACME ');
+  });
+
+  it('should ignore malformed preferences from the main process', () => {
+    subscription = performTextSubstitution(input, {
+      substitutions: [{ replace: 'omw', with: 'On my way!' }]
+    });
+
+    ipcRenderer.emit(preferenceChangedIpcMessage, {}, JSON.stringify({
+      version: preferenceProtocolVersion,
+      preferences: { substitutions: 'brb' }
+    }));
+
+    inputText(input, 'omw ');
+    assert.equal(input.value, 'On my way! ');
+  });
+
+  it('should use preferences from a preload bridge once they arrive', () => {
+    let bridge = {
+      readPreferences: () => Promise.resolve(JSON.stringify({
+        version: preferenceProtocolVersion,
+        preferences: { substitutions: [{ replace: 'omw', with: 'On my way!' }] }
+      })),
+      onPreferencesChanged: () => () => {}
+    };
+
+    subscription = performTextSubstitution(input, null, {
+      preferenceProvider: createBridgePreferenceProvider(bridge)
+    });
+
+    inputText(input, 'omw ');
+    assert.equal(input.value, 'omw ');
+
+    return new Promise((resolve) => setTimeout(resolve)).then(() => {
+      inputText(input, 'omw ');
+      assert.equal(input.value, 'omw On my way! ');
+    });
+  });
+
+  it('should expand snippets and select their first tab stop', () => {
+    subscription = performTextSubstitution(input, {
+      substitutions: [{ replace: 'hey', with: 'Hi ${name}, ${1:reason}. $0Thanks!', snippet: true }]
+    }, {
+      snippetVariables: { name: 'Ada' }
+    });
+
+    inputText(input, 'hey ');
+    assert.equal(input.value, 'Hi Ada, reason. Thanks! ');
+    assert.equal(input.selectionStart, 8);
+    assert.equal(input.selectionEnd, 14);
+  });
+
+  it('should move between tab stops when tab is pressed', () => {
+    subscription = performTextSubstitution(input, {
+      substitutions: [{ replace: 'sig', with: '${1:name}, ${2:team}$0', snippet: true }]
+    });
+
+    inputText(input, 'sig ');
+    inputText(input, 'Ada');
+    assert(!pressTab(input));
+    assert.equal(input.value.substring(input.selectionStart, input.selectionEnd), 'team');
+
+    inputText(input, 'Support');
+    assert(!pressTab(input));
+    assert.equal(input.value, 'Ada, Support ');
+    assert.equal(input.selectionStart, 12);
+
+    assert(pressTab(input));
+  });
+
+  it('should insert replacements that are not snippets as-is', () => {
+    subscription = performTextSubstitution(input, {
+      substitutions: [{ replace: 'cost', with: '${price}' }]
+    });
+
+    inputText(input, 'cost ');
+    assert.equal(input.value, '${price} ');
+  });
+
+  it('should leave pasted text alone, by default', () => {
+    subscription = performTextSubstitution(input, {
+      substitutions: [{ replace: 'omw', with: 'On my way!' }],
+      useSmartQuotes: true
+    });
+
+    pasteText(input, 'He said "omw" ');
+    assert.equal(input.value, 'He said "omw" ');
+  });
+
+  it('should substitute pasted text, if enabled', () => {
+    const preferences = {
+      substitutions: [{ replace: 'omw', with: 'On my way!' }],
+      useSmartQuotes: true,
+      useSmartDashes: true,
+      useAutocorrect: true,
+      emojiShortcodes: true,
+      locale: 'en'
+    };
+
+    subscription = performTextSubstitution(input, preferences, { pasteMode: 'smart' });
+    pasteText(input, 'He said "omw" -- teh :smile:');
+    assert.equal(input.value, 'He said “omw” — teh :smile:');
+
+    subscription.unsubscribe();
+    input.value = '';
+
+    subscription = performTextSubstitution(input, preferences, { pasteMode: 'all' });
+    pasteText(input, 'He said "omw"');
+    assert.equal(input.value, 'He said “On my way!”');
+  });
+
+  it('should paste text as-is when shift is held', () => {
+    subscription = performTextSubstitution(input, { substitutions: [], useSmartQuotes: true }, {
+      pasteMode: 'smart'
+    });
+
+    pasteText(input, '"quoted" ', true);
+    assert.equal(input.value, '"quoted" ');
+  });
+
+  it('should explain substitutions in the dev overlay, and remove it when unsubscribed', () => {
+    subscription = performTextSubstitution(input, {
+      substitutions: [{ replace: 'omw', with: 'on my way' }]
+    }, { devOverlay: true });
+
+    assert(!document.querySelector('.text-substitutions-dev-overlay'));
+
+    typeText(input, 'omw');
+    let overlay = document.querySelector('.text-substitutions-dev-overlay');
+    assert(overlay.textContent.includes('✗ user "omw": waiting for a boundary or trigger key'));
+
+    inputText(input, ' ');
+    assert(overlay.textContent.includes('✓ user "omw": "omw" → "on my way"'));
+
+    pasteText(input, 'omw ');
+    assert(overlay.textContent.includes('(ignored after a paste)'));
+
+    input.dispatchEvent(new Event('focusout', { bubbles: true }));
+    assert.equal(overlay.style.display, 'none');
+
+    subscription.unsubscribe();
+    assert(!document.querySelector('.text-substitutions-dev-overlay'));
+  });
+
+  it('should error when given an unknown paste mode', () => {
+    assert.throws(() => performTextSubstitution(input, { substitutions: [] }, { pasteMode: 'fancy' }),
+      /Unknown paste mode/);
+  });
+
   it('should unhook the preference changed message when unsubscribed', () => {
     const sub1 = performTextSubstitution(input, { substitutions: [] });
     const sub2 = performTextSubstitution(input, { substitutions: [] });
@@ -167,3 +510,247 @@ describe('the performTextSubstitution method', () => {
     assert.equal(ipcRenderer.listenerCount(preferenceChangedIpcMessage), 0);
   });
 });
+
+describe('the substitution history', () => {
+  let input, subscription;
+
+  beforeEach(() => {
+    input = document.createElement('input');
+    document.body.appendChild(input);
+    input.focus();
+
+    subscription = performTextSubstitution(input, {
+      substitutions: [{ replace: 'omw', with: 'On my way!' }, { replace: 'brb', with: 'Be right back' }],
+      useSmartDashes: true
+    });
+  });
+
+  afterEach(() => {
+    subscription.unsubscribe();
+    document.body.removeChild(input);
+    input = null;
+  });
+
+  it('should record each substitution and keep its range up to date', () => {
+    inputText(input, 'omw ');
+    inputText(input, 'brb ');
+
+    input.setSelectionRange(0, 0);
+    inputText(input, 'Hi ');
+
+    let history = getSubstitutionHistory(input);
+    assert.deepEqual(history.map(({startIndex, endIndex, original, replacement}) =>
+      ({startIndex, endIndex, original, replacement})), [
+      { startIndex: 3, endIndex: 13, original: 'omw', replacement: 'On my way!' },
+      { startIndex: 14, endIndex: 27, original: 'brb', replacement: 'Be right back' }
+    ]);
+
+    assert.equal(history[0].rule.match, 'omw');
+  });
+
+  it('should undo the last substitution wherever it is now', () => {
+    inputText(input, 'omw ');
+    inputText(input, 'brb ');
+    inputText(input, 'ok');
+
+    assert(undoLastSubstitution(input));
+    assert.equal(input.value, 'On my way! brb ok');
+    assert.equal(input.selectionStart, 17);
+
+    assert(undoLastSubstitution(input));
+    assert.equal(input.value, 'omw brb ok');
+    assert(!undoLastSubstitution(input));
+  });
+
+  it('should not substitute undone text again straight away', () => {
+    inputText(input, 'omw ');
+    undoLastSubstitution(input);
+
+    input.setSelectionRange(3, 3);
+    inputText(input, ',');
+    assert.equal(input.value, 'omw, ');
+
+    input.setSelectionRange(5, 5);
+    inputText(input, 'and omw ');
+    assert.equal(input.value, 'omw, and On my way! ');
+  });
+
+  it('should revert every substitution', () => {
+    inputText(input, 'omw ');
+    inputText(input, 'wait -- ');
+    inputText(input, 'brb ');
+
+    assert.equal(revertAll(input), 3);
+    assert.equal(input.value, 'omw wait -- brb ');
+    assert.deepEqual(getSubstitutionHistory(input), []);
+  });
+
+  it('should forget a substitution once its replacement is edited', () => {
+    inputText(input, 'omw ');
+
+    input.setSelectionRange(2, 2);
+    inputText(input, 'x');
+
+    assert.deepEqual(getSubstitutionHistory(input), []);
+    assert(!undoLastSubstitution(input));
+  });
+
+  it('should have nothing for an element without substitutions', () => {
+    assert.deepEqual(getSubstitutionHistory(document.createElement('textarea')), []);
+  });
+});
+
+describe('the performTextSubstitution method in a contenteditable', () => {
+  let element, subscription;
+
+  beforeEach(() => {
+    element = document.createElement('div');
+    element.setAttribute('contenteditable', 'true');
+    document.body.appendChild(element);
+    element.focus();
+  });
+
+  afterEach(() => {
+    if (subscription) subscription.unsubscribe();
+    document.body.removeChild(element);
+    element = null;
+  });
+
+  function placeCaretAtEnd() {
+    let range = document.createRange();
+    range.selectNodeContents(element);
+    range.collapse(false);
+
+    let selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+  }
+
+  function getText() {
+    return element.textContent.replace(/\u00a0/g, ' ');
+  }
+
+  it('should substitute after nested markup, line breaks and atomic nodes', () => {
+    element.innerHTML = '<b>bold <i>and italic</i></b><br><div>next <img alt=""> line </div>';
+    placeCaretAtEnd();
+
+    subscription = performTextSubstitution(element, {
+      substitutions: [{ replace: 'omw', with: 'On my way!' }]
+    });
+
+    inputText(element, 'omw ');
+    assert.equal(getText(), 'bold and italicnext  line On my way! ');
+  });
+
+  it('should substitute a word inside formatting', () => {
+    element.innerHTML = 'start <b>omw</b>';
+    placeCaretAtEnd();
+
+    subscription = performTextSubstitution(element, {
+      substitutions: [{ replace: 'omw', with: 'On my way!' }]
+    });
+
+    inputText(element, ' ');
+    assert.equal(getText(), 'start On my way! ');
+  });
+});
+
+describe('the performTextSubstitutionWithin method', () => {
+  let container, subscription;
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+  });
+
+  afterEach(() => {
+    if (subscription) subscription.unsubscribe();
+    document.body.removeChild(container);
+    container = null;
+  });
+
+  function addElement(html) {
+    container.insertAdjacentHTML('beforeend', html);
+    let element = container.lastElementChild;
+    element.focus();
+    return element;
+  }
+
+  const preferenceOverrides = {
+    substitutions: [{ replace: 'omw', with: 'On my way!' }]
+  };
+
+  it('should error when not given an EventTarget', () => {
+    assert.throws(() => performTextSubstitutionWithin(null));
+  });
+
+  it('should substitute in inputs and textareas added after it was called', () => {
+    subscription = performTextSubstitutionWithin(container, { preferenceOverrides });
+
+    let input = addElement('<input type="text">');
+    inputText(input, 'omw ');
+    assert.equal(input.value, 'On my way! ');
+
+    let textarea = addElement('<textarea></textarea>');
+    inputText(textarea, 'omw ');
+    assert.equal(textarea.value, 'On my way! ');
+  });
+
+  it('should leave other kinds of inputs alone', () => {
+    subscription = performTextSubstitutionWithin(container, { preferenceOverrides });
+
+    let input = addElement('<input type="password">');
+    inputText(input, 'omw ');
+    assert.equal(input.value, 'omw ');
+  });
+
+  it('should skip elements that opt out, unless opted back in', () => {
+    subscription = performTextSubstitutionWithin(container, { preferenceOverrides });
+
+    let input = addElement('<input data-text-substitutions="off">');
+    inputText(input, 'omw ');
+    assert.equal(input.value, 'omw ');
+
+    let section = addElement('<div data-text-substitutions="off"><textarea></textarea>' +
+      '<textarea data-text-substitutions="on"></textarea></div>');
+
+    let [skipped, included] = section.querySelectorAll('textarea');
+    skipped.focus();
+    inputText(skipped, 'omw ');
+    assert.equal(skipped.value, 'omw ');
+
+    included.focus();
+    inputText(included, 'omw ');
+    assert.equal(included.value, 'On my way! ');
+  });
+
+  it('should only substitute in elements that opt in, if requested', () => {
+    subscription = performTextSubstitutionWithin(container, { preferenceOverrides, optIn: true });
+
+    let input = addElement('<input>');
+    inputText(input, 'omw ');
+    assert.equal(input.value, 'omw ');
+
+    input = addElement('<input data-text-substitutions="on">');
+    inputText(input, 'omw ');
+    assert.equal(input.value, 'On my way! ');
+  });
+
+  it('should stop replacing when unsubscribed', () => {
+    subscription = performTextSubstitutionWithin(container, { preferenceOverrides });
+    subscription.unsubscribe();
+    subscription = null;
+
+    let input = addElement('<input>');
+    inputText(input, 'omw ');
+    assert.equal(input.value, 'omw ');
+  });
+
+  it('should register for preference changes only once', () => {
+    subscription = performTextSubstitutionWithin(container, { preferenceOverrides });
+
+    addElement('<input>');
+    addElement('<textarea></textarea>');
+    assert.equal(ipcRenderer.listenerCount(preferenceChangedIpcMessage), 1);
+  });
+});
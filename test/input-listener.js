@@ -0,0 +1,108 @@
+import assert from 'assert';
+import 'rxjs/add/operator/filter';
+import {Subject} from 'rxjs/Subject';
+import {getReplacementItems} from '../src/substitution-engine';
+import {createInputHandlers, getSubstitutionHistory} from '../src/input-listener';
+import {observeSubstitutionEvents} from '../src/substitution-events';
+
+describe('the createInputHandlers method', () => {
+  let input;
+
+  beforeEach(() => {
+    input = document.createElement('input');
+    document.body.appendChild(input);
+    input.focus();
+  });
+
+  afterEach(() => {
+    document.body.removeChild(input);
+    input = null;
+  });
+
+  function typeWord(word) {
+    input.value += word;
+    input.selectionStart = input.selectionEnd = input.value.length;
+  }
+
+  it('should keep substituting, and telling every handler, while one of them throws', () => {
+    let items = getReplacementItems({ substitutions: [{ replace: 'omw', with: 'on my way' }] });
+    let events = new Subject();
+    let handlers = createInputHandlers(input, () => items, { events });
+
+    let observable = observeSubstitutionEvents(events);
+    let seen = [];
+    let thrown = 0;
+    let throwing = () => {
+      thrown++;
+      throw new Error('A bad handler');
+    };
+
+    observable.subscribe(throwing);
+    observable.filter(({type}) => type === 'substituted').subscribe(throwing);
+    observable.subscribe(({type}) => seen.push(type));
+
+    typeWord('omw ');
+    handlers.input();
+    typeWord('omw ');
+    handlers.input();
+
+    assert.equal(input.value, 'on my way on my way ');
+    assert.deepEqual(seen, ['beforesubstitute', 'substituted', 'beforesubstitute', 'substituted']);
+    assert.equal(thrown, 6);
+  });
+
+  it('should not let a handler that throws escape the input listener', () => {
+    let items = getReplacementItems({ substitutions: [{ replace: 'omw', with: 'on my way' }] });
+    let events = new Subject();
+    let handlers = createInputHandlers(input, () => items, { events });
+
+    events.subscribe(() => {
+      throw new Error('A bad handler');
+    });
+
+    typeWord('omw ');
+    handlers.input();
+    assert.equal(input.value, 'on my way ');
+  });
+
+  describe('when execCommand refuses to edit the text', () => {
+    let execCommand;
+
+    beforeEach(() => {
+      execCommand = document.execCommand;
+      document.execCommand = () => false;
+    });
+
+    afterEach(() => document.execCommand = execCommand);
+
+    it('should neither record nor announce a substitution', () => {
+      let items = getReplacementItems({ substitutions: [{ replace: 'omw', with: 'on my way' }] });
+      let events = new Subject();
+      let handlers = createInputHandlers(input, () => items, { events });
+
+      let substituted = [];
+      events.subscribe(({type}) => type === 'substituted' && substituted.push(type));
+
+      typeWord('omw ');
+      handlers.input();
+
+      assert.equal(input.value, 'omw ');
+      assert.deepEqual(getSubstitutionHistory(input), []);
+      assert.deepEqual(substituted, []);
+    });
+
+    it('should let a paste go ahead unsubstituted', () => {
+      let items = getReplacementItems({ substitutions: [{ replace: 'omw', with: 'on my way' }] });
+      let handlers = createInputHandlers(input, () => items, { pasteMode: 'all' });
+
+      let defaultPrevented = false;
+      handlers.paste({
+        clipboardData: { getData: () => 'omw ' },
+        preventDefault: () => defaultPrevented = true
+      });
+
+      assert(!defaultPrevented);
+      assert.deepEqual(getSubstitutionHistory(input), []);
+    });
+  });
+});
@@ -3,7 +3,13 @@ import {readSystemTextPreferences} from '../src/preference-helpers';
 import {containsRemoteObject} from './contains-remote-object';
 
 describe('the readSystemTextPreferences method', () => {
-  it('should not return remote objects', () => {
+  it('should not return remote objects', function() {
+    if (process.type !== 'browser' || process.platform !== 'darwin') this.skip();
     assert(!containsRemoteObject(readSystemTextPreferences()));
   });
-});
\ No newline at end of file
+
+  it('should refuse to read preferences outside of the main process, rather than use remote', function() {
+    if (process.type === 'browser') this.skip();
+    assert.throws(() => readSystemTextPreferences(), /can only be read in the main process/);
+  });
+});
@@ -0,0 +1,309 @@
+import assert from 'assert';
+import fs from 'fs';
+import {EventEmitter} from 'events';
+import {createMemoryPreferenceProvider, createBridgePreferenceProvider} from '../src/preference-providers';
+import {servePreferences, createPreferenceBridge, parsePreferenceMessage, serializePreferenceMessage,
+  readPreferencesIpcMessage, registerForPreferenceChangedIpcMessage, preferenceChangedIpcMessage,
+  preferenceProtocolVersion, bridgePreloadPath, defaultBridgeKey} from '../src/preference-ipc';
+
+/**
+ * Connects a fake `ipcMain` to a fake `ipcRenderer` for one `WebContents`, so
+ * that both halves can be tested without Electron.
+ */
+function createMockIpc() {
+  let handlers = {};
+  let ipcMain = new EventEmitter();
+  let ipcRenderer = new EventEmitter();
+
+  let sender = new EventEmitter();
+  sender.id = 1;
+  sender.send = (channel, ...args) => ipcRenderer.emit(channel, {}, ...args);
+
+  ipcMain.handle = (channel, handler) => handlers[channel] = handler;
+  ipcMain.removeHandler = (channel) => delete handlers[channel];
+
+  ipcRenderer.send = (channel, ...args) => ipcMain.emit(channel, {sender}, ...args);
+  ipcRenderer.invoke = (channel, ...args) => handlers[channel] ?
+    Promise.resolve(handlers[channel]({sender}, ...args)) :
+    Promise.reject(new Error(`No handler registered for '${channel}'`));
+
+  return {ipcMain, ipcRenderer, handlers, sender};
+}
+
+/**
+ * Waits for the main process to read preferences and send them, which it
+ * does asynchronously.
+ */
+function settle() {
+  return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+/**
+ * How older releases revived the regular expressions in replacement items.
+ */
+function legacyRegExpReviver(key, value) {
+  if (key === 'regExp') {
+    let [, regExp, flags] = value.match(/\/(.*)\/(.*)?/);
+    return new RegExp(regExp, flags || '');
+  }
+  return value;
+}
+
+describe('the preference bridge', () => {
+  let ipc, provider, subscription;
+
+  beforeEach(() => {
+    ipc = createMockIpc();
+    provider = createMemoryPreferenceProvider({ useSmartQuotes: true });
+    subscription = servePreferences(ipc.ipcMain, provider);
+  });
+
+  afterEach(() => subscription.unsubscribe());
+
+  it('should read preferences from the main process', () => {
+    let bridge = createPreferenceBridge(ipc.ipcRenderer);
+
+    return bridge.readPreferences().then((serializedMessage) => {
+      let message = JSON.parse(serializedMessage);
+      assert.equal(message.version, preferenceProtocolVersion);
+      assert.equal(message.preferences.useSmartQuotes, true);
+    });
+  });
+
+  it('should send the preferences on registering, and only while listening', () => {
+    let bridge = createPreferenceBridge(ipc.ipcRenderer);
+    let notifications = [];
+
+    let removeFirst = bridge.onPreferencesChanged((serialized) => notifications.push(parsePreferenceMessage(serialized)));
+    let removeSecond = bridge.onPreferencesChanged(() => {});
+
+    return settle().then(() => {
+      assert.equal(notifications.length, 1);
+      assert.equal(notifications[0].useSmartQuotes, true);
+
+      provider.update({ useSmartDashes: true });
+      return settle();
+    }).then(() => {
+      assert.equal(notifications.length, 2);
+      assert.equal(notifications[1].useSmartDashes, true);
+
+      removeFirst();
+      removeSecond();
+      provider.update({ useSmartDashes: false });
+      return settle();
+    }).then(() => {
+      assert.equal(notifications.length, 2);
+      assert.equal(ipc.ipcRenderer.listenerCount(preferenceChangedIpcMessage), 0);
+      assert.equal(ipc.sender.listenerCount('destroyed'), 0);
+    });
+  });
+
+  it('should forget a renderer once it is destroyed', () => {
+    let notifications = 0;
+    createPreferenceBridge(ipc.ipcRenderer).onPreferencesChanged(() => notifications++);
+
+    return settle().then(() => {
+      ipc.sender.emit('destroyed');
+      provider.update({ useSmartDashes: true });
+      return settle();
+    }).then(() => {
+      assert.equal(notifications, 1);
+      assert.equal(ipc.sender.listenerCount('destroyed'), 0);
+    });
+  });
+
+  it('should not send preferences to a renderer that goes away while they are read', () => {
+    let notifications = 0;
+    createPreferenceBridge(ipc.ipcRenderer).onPreferencesChanged(() => notifications++);
+    ipc.sender.emit('destroyed');
+
+    return settle().then(() => assert.equal(notifications, 0));
+  });
+
+  it('should send renderers from older releases replacement items they can revive', () => {
+    let messages = [];
+    ipc.ipcRenderer.on(preferenceChangedIpcMessage, (e, serialized) => messages.push(serialized));
+
+    // NB: Older releases register without a protocol version.
+    ipc.ipcRenderer.send(registerForPreferenceChangedIpcMessage);
+    provider.update({ substitutions: [{ replace: 'omw', with: 'on my way' }], useSmartQuotes: true });
+
+    return settle().then(() => {
+      assert.equal(messages.length, 2);
+
+      // This is how older releases read and applied the items.
+      let replacementItems = JSON.parse(messages[1], legacyRegExpReviver);
+      let text = '"omw" ';
+
+      for (let {regExp, replacement} of replacementItems) {
+        let match = text.match(regExp);
+        if (match && match.length === 3) text = text.replace(regExp, `$1${replacement}$2`);
+      }
+
+      assert.equal(text, '“on my way” ');
+    });
+  });
+
+  it('should preload a bridge that only requires electron, as a sandbox allows', () => {
+    let exposed = {};
+    let sandboxRequire = (name) => {
+      if (name !== 'electron') throw new Error(`Unable to require ${name} in a sandbox`);
+      return {
+        ipcRenderer: ipc.ipcRenderer,
+        contextBridge: { exposeInMainWorld: (key, api) => exposed[key] = api }
+      };
+    };
+
+    let preload = new Function('require', 'process', 'window', fs.readFileSync(bridgePreloadPath, 'utf8'));
+    preload(sandboxRequire, { contextIsolated: true }, {});
+
+    let bridge = exposed[defaultBridgeKey];
+    let notifications = [];
+    let remove = bridge.onPreferencesChanged((serialized) => notifications.push(parsePreferenceMessage(serialized)));
+
+    return settle().then(() => {
+      provider.update({ useSmartDashes: true });
+      return settle();
+    }).then(() => {
+      remove();
+      provider.update({ useSmartDashes: false });
+      return settle();
+    }).then(() => {
+      assert.equal(notifications.length, 2);
+      assert.equal(notifications[1].useSmartDashes, true);
+      assert.equal(ipc.sender.listenerCount('destroyed'), 0);
+
+      return bridge.readPreferences();
+    }).then((serializedMessage) => {
+      assert.equal(JSON.parse(serializedMessage).version, preferenceProtocolVersion);
+    });
+  });
+
+  it('should not send invalid preferences', () => {
+    let notifications = 0;
+    createPreferenceBridge(ipc.ipcRenderer).onPreferencesChanged(() => notifications++);
+
+    return settle().then(() => {
+      provider.update({ substitutions: 'omw' });
+      return settle();
+    }).then(() => assert.equal(notifications, 1));
+  });
+
+  it('should read and send preferences from an asynchronous provider', () => {
+    let asyncProvider = {
+      read: () => Promise.resolve(provider.read()),
+      onChange: (callback) => provider.onChange(callback)
+    };
+
+    subscription.unsubscribe();
+    subscription = servePreferences(ipc.ipcMain, asyncProvider);
+
+    let bridge = createPreferenceBridge(ipc.ipcRenderer);
+    let notifications = [];
+    bridge.onPreferencesChanged((serialized) => notifications.push(parsePreferenceMessage(serialized)));
+
+    return bridge.readPreferences().then((serializedMessage) => {
+      assert.equal(parsePreferenceMessage(serializedMessage).useSmartQuotes, true);
+
+      provider.update({ useSmartDashes: true });
+      return settle();
+    }).then(() => {
+      assert.equal(notifications.length, 2);
+      assert.equal(notifications[1].useSmartDashes, true);
+    });
+  });
+
+  it('should remove everything it added to the main process', () => {
+    createPreferenceBridge(ipc.ipcRenderer).onPreferencesChanged(() => {});
+    subscription.unsubscribe();
+
+    assert(!ipc.handlers[readPreferencesIpcMessage]);
+    assert.deepEqual(ipc.ipcMain.eventNames(), []);
+    assert.equal(ipc.sender.listenerCount('destroyed'), 0);
+  });
+
+  it('should preload the bridge into the given sessions until unsubscribed', () => {
+    let preloads = ['/app/preload.js'];
+    let session = {
+      getPreloads: () => preloads,
+      setPreloads: (newPreloads) => preloads = newPreloads
+    };
+
+    subscription.unsubscribe();
+    subscription = servePreferences(ipc.ipcMain, provider, { sessions: [session] });
+    assert.deepEqual(preloads, ['/app/preload.js', bridgePreloadPath]);
+
+    subscription.unsubscribe();
+    assert.deepEqual(preloads, ['/app/preload.js']);
+  });
+});
+
+describe('the parsePreferenceMessage method', () => {
+  const preferences = { substitutions: [{ replace: 'omw', with: 'On my way!' }], useSmartQuotes: true };
+
+  it('should read versioned messages, and reject ones from older releases', () => {
+    assert.deepEqual(parsePreferenceMessage(serializePreferenceMessage(preferences)), preferences);
+    assert.throws(() => parsePreferenceMessage(serializePreferenceMessage(preferences, 0)), /before protocol version 1/);
+  });
+
+  it('should read messages from other versions if they are valid', () => {
+    let message = JSON.stringify({ version: preferenceProtocolVersion + 1, preferences, extra: true });
+    assert.deepEqual(parsePreferenceMessage(message), preferences);
+  });
+
+  it('should reject malformed messages', () => {
+    assert.throws(() => parsePreferenceMessage({ version: 1, preferences }), /must be strings/);
+    assert.throws(() => parsePreferenceMessage('{ not json'));
+    assert.throws(() => parsePreferenceMessage('"omw"'), /must be objects/);
+    assert.throws(() => parsePreferenceMessage(JSON.stringify({ version: '1', preferences })), /protocol version/);
+    assert.throws(() => parsePreferenceMessage(JSON.stringify({ version: 1 })), /must be an object/);
+    assert.throws(() => parsePreferenceMessage(JSON.stringify(preferences)), /protocol version/);
+
+    let invalid = [
+      { substitutions: {} },
+      { substitutions: [{ replace: 'omw' }] },
+      { useSmartQuotes: 'yes' },
+      { smartTypography: 'all' },
+      { useAutocorrect: 1 },
+      { autocorrectExclusions: ['teh', 42] },
+      { locale: 42 }
+    ];
+
+    invalid.forEach((invalidPreferences) => assert.throws(() =>
+      parsePreferenceMessage(serializePreferenceMessage(invalidPreferences))));
+  });
+});
+
+describe('the createBridgePreferenceProvider method', () => {
+  it('should throw without a bridge', () => {
+    assert.throws(() => createBridgePreferenceProvider(null), /No preference bridge/);
+  });
+
+  it('should read and observe preferences through the bridge', () => {
+    let ipc = createMockIpc();
+    let mainProvider = createMemoryPreferenceProvider();
+    let subscription = servePreferences(ipc.ipcMain, mainProvider);
+
+    let provider = createBridgePreferenceProvider(createPreferenceBridge(ipc.ipcRenderer));
+    let changes = 0;
+    let changeSubscription = provider.onChange(() => changes++);
+
+    // NB: The main process sends the preferences once when the bridge registers.
+    return settle().then(() => {
+      mainProvider.update({ substitutions: [{ replace: 'omw', with: 'On my way!' }] });
+      return settle();
+    }).then(() => {
+      assert.equal(changes, 2);
+      return provider.read();
+    }).then((preferences) => {
+      assert.deepEqual(preferences, {
+        substitutions: [{ replace: 'omw', with: 'On my way!' }],
+        useSmartQuotes: false,
+        useSmartDashes: false
+      });
+
+      changeSubscription.unsubscribe();
+      subscription.unsubscribe();
+    });
+  });
+});
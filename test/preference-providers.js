@@ -0,0 +1,78 @@
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {createMemoryPreferenceProvider, createFilePreferenceProvider} from '../src/preference-providers';
+
+describe('the createMemoryPreferenceProvider method', () => {
+  it('should fill in missing preferences', () => {
+    let provider = createMemoryPreferenceProvider({ useSmartQuotes: true });
+    assert.deepEqual(provider.read(), {
+      substitutions: [],
+      useSmartQuotes: true,
+      useSmartDashes: false
+    });
+  });
+
+  it('should notify listeners when updated', () => {
+    let provider = createMemoryPreferenceProvider();
+    let notifications = 0;
+    let subscription = provider.onChange(() => notifications++);
+
+    provider.update({ substitutions: [{ replace: 'omw', with: 'On my way!' }] });
+    assert.equal(notifications, 1);
+    assert.equal(provider.read().substitutions[0].with, 'On my way!');
+
+    subscription.unsubscribe();
+    provider.update({ useSmartDashes: true });
+    assert.equal(notifications, 1);
+  });
+});
+
+describe('the createFilePreferenceProvider method', () => {
+  let directory, filePath, subscription;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'text-substitutions-'));
+    filePath = path.join(directory, 'preferences.json');
+  });
+
+  afterEach(() => {
+    if (subscription) subscription.unsubscribe();
+    subscription = null;
+
+    if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+    fs.rmdirSync(directory);
+  });
+
+  it('should read preferences from the file', () => {
+    fs.writeFileSync(filePath, JSON.stringify({ useSmartDashes: true }));
+    let provider = createFilePreferenceProvider(filePath);
+
+    assert.deepEqual(provider.read(), {
+      substitutions: [],
+      useSmartQuotes: false,
+      useSmartDashes: true
+    });
+  });
+
+  it('should use empty preferences when the file is missing or invalid', () => {
+    let provider = createFilePreferenceProvider(filePath);
+    assert.deepEqual(provider.read().substitutions, []);
+
+    fs.writeFileSync(filePath, '{ not json');
+    assert.deepEqual(provider.read().substitutions, []);
+  });
+
+  it('should notify listeners when the file changes', (done) => {
+    fs.writeFileSync(filePath, JSON.stringify({}));
+    let provider = createFilePreferenceProvider(filePath, { debounce: 10 });
+
+    subscription = provider.onChange(() => {
+      assert.equal(provider.read().useSmartQuotes, true);
+      done();
+    });
+
+    fs.writeFileSync(filePath, JSON.stringify({ useSmartQuotes: true }));
+  });
+});
@@ -1,5 +1,6 @@
 import assert from 'assert';
-import {getSubstitutionRegExp, getSmartQuotesRegExp, getSmartDashesRegExp} from '../src/regular-expressions';
+import {getSubstitutionRegExp, getSmartQuotesRegExp, getSmartDashesRegExp,
+  getSmartTypographyRegExp, getQuoteStyle, getCasedReplacement, getBoundaryRegExp} from '../src/regular-expressions';
 
 describe('the getSubstitutionRegExp method', () => {
   it('should only match a word with a trailing boundary', () => {
@@ -70,6 +71,73 @@ describe('the getSubstitutionRegExp method', () => {
       { input: `good job:thumbsup: `, output: `good job👍 ` }
     ]);
   });
+
+  it('should only be triggered by the given boundaries', () => {
+    let {regExp} = getSubstitutionRegExp('omw', 'on my way', { triggers: { boundaries: ['space'] } });
+
+    assert('omw '.match(regExp));
+    assert('omw\n'.match(regExp));
+    assert(!'omw.'.match(regExp));
+    assert(!'omw)'.match(regExp));
+  });
+
+  it('should only be triggered by keys if it has no boundaries', () => {
+    let item = getSubstitutionRegExp('omw', 'on my way', { triggers: { boundaries: [], keys: ['tab'] } });
+
+    assert.equal(item.regExp, null);
+    assert.deepEqual(item.triggerKeys, ['tab']);
+    assert('I am omw'.match(item.keyRegExp));
+    assert(!'I am omw '.match(item.keyRegExp));
+    assert.throws(() => getSubstitutionRegExp('omw', '', { triggers: { keys: ['space'] } }), /Unknown trigger key/);
+  });
+
+  it('should never match mid-word, if requested', () => {
+    let triggers = { neverMidWord: true };
+
+    assert(!'Trademark(tm) '.match(getSubstitutionRegExp('(tm)', '™', {triggers}).regExp));
+    assert('Trademark (tm) '.match(getSubstitutionRegExp('(tm)', '™', {triggers}).regExp));
+    assert(!'block<br>block'.match(getSubstitutionRegExp('<br>', '', {triggers}).regExp));
+  });
+
+  it('should only match the exact case by default', () => {
+    let {regExp} = getSubstitutionRegExp('omw', 'on my way');
+    assert('omw '.match(regExp));
+    assert(!'Omw '.match(regExp));
+    assert(!'OMW '.match(regExp));
+  });
+
+  it('should match any case, and carry it over to the replacement, if requested', () => {
+    let item = getSubstitutionRegExp('omw', 'on my way', { matchCase: false });
+    let cases = [
+      { input: 'omw', output: 'on my way' },
+      { input: 'Omw', output: 'On my way' },
+      { input: 'OMW', output: 'ON MY WAY' },
+      { input: 'oMw', output: 'on my way' }
+    ];
+
+    for (let {input, output} of cases) {
+      assert(`${input} `.match(item.regExp));
+      assert.equal(getCasedReplacement(item, input), output);
+    }
+  });
+
+  it('should keep the replacement as-is when it is typed as written', () => {
+    let item = getSubstitutionRegExp('Acme', 'ACME Corporation', { matchCase: false });
+    assert.equal(getCasedReplacement(item, 'Acme'), 'ACME Corporation');
+    assert.equal(getCasedReplacement(item, 'acme'), 'ACME Corporation');
+    assert.equal(getCasedReplacement(item, 'ACME'), 'ACME CORPORATION');
+
+    let exact = getSubstitutionRegExp('omw', 'on my way');
+    assert.equal(getCasedReplacement(exact, 'omw'), 'on my way');
+  });
+
+  it('should treat a single capital letter as capitalized', () => {
+    let item = getSubstitutionRegExp('i', 'I’m', { matchCase: false });
+    assert.equal(getCasedReplacement(item, 'I'), 'I’m');
+
+    item = getSubstitutionRegExp('y', 'yes', { matchCase: false });
+    assert.equal(getCasedReplacement(item, 'Y'), 'Yes');
+  });
 });
 
 describe('the getSmartQuotesRegExp method', () => {
@@ -103,6 +171,60 @@ describe('the getSmartQuotesRegExp method', () => {
   });
 });
 
+describe('the getSmartQuotesRegExp method with a locale', () => {
+  it('should use German quotes', () => {
+    assertRegExReplacements(getSmartQuotesRegExp('de-DE'), [
+      { input: `\"a\" `, output: `„a“ ` },
+      { input: `\'a\' `, output: `‚a‘ ` },
+      { input: `geht\'s `, output: `geht’s ` },
+      { input: `\"\'nested\'\" `, output: `„‚nested‘“ ` }
+    ]);
+  });
+
+  it('should use Swiss guillemets without spacing', () => {
+    for (let locale of ['de-CH', 'de_CH', 'fr-CH']) {
+      assertRegExReplacements(getSmartQuotesRegExp(locale), [
+        { input: `\"a\" `, output: `«a» ` },
+        { input: `\'a\' `, output: `‹a› ` },
+        { input: `\"\'nested\'\" `, output: `«‹nested›» ` }
+      ]);
+    }
+  });
+
+  it('should use French guillemets with narrow no-break spaces', () => {
+    assertRegExReplacements(getSmartQuotesRegExp('fr-FR'), [
+      { input: `\"a\" `, output: `«\u202fa\u202f» ` },
+      { input: `\'a\' `, output: `‹\u202fa\u202f› ` },
+      { input: `l\'eau `, output: `l’eau ` }
+    ]);
+  });
+
+  it('should use Polish quotes', () => {
+    assertRegExReplacements(getSmartQuotesRegExp('pl'), [
+      { input: `\"a\" `, output: `„a” ` },
+      { input: `\'a\' `, output: `«a» ` },
+      { input: `\"\'nested\'\" `, output: `„«nested»” ` }
+    ]);
+  });
+
+  it('should use Japanese corner brackets', () => {
+    assertRegExReplacements(getSmartQuotesRegExp('ja-JP'), [
+      { input: `\"a\" `, output: `「a」 ` },
+      { input: `\'a\' `, output: `『a』 ` },
+      { input: `\"\'nested\'\" `, output: `「『nested』」 ` },
+      { input: `彼は\"こんにちは\"と`, output: `彼は「こんにちは」と` },
+      { input: `「a」と\"b\"と`, output: `「a」と「b」と` }
+    ]);
+  });
+
+  it('should fall back to English for unknown locales', () => {
+    assert.deepEqual(getQuoteStyle('xx-YY'), getQuoteStyle('en'));
+    assertRegExReplacements(getSmartQuotesRegExp('xx-YY'), [
+      { input: `\"a\" `, output: `“a” ` }
+    ]);
+  });
+});
+
 describe('the getSmartDashesRegExp method', () => {
   it('should replace consecutive hypens with an em-dash', () => {
     assertRegExReplacements(getSmartDashesRegExp(), [
@@ -125,6 +247,85 @@ describe('the getSmartDashesRegExp method', () => {
   });
 });
 
+describe('the getSmartTypographyRegExp method', () => {
+  it('should replace hyphens in numeric ranges with an en-dash', () => {
+    assertRegExReplacements(getSmartTypographyRegExp({ enDashes: true }), [
+      { input: `1-5 `, output: `1–5 ` },
+      { input: `(10-20) `, output: `(10–20) ` },
+      { input: `1-5. `, output: `1–5. ` },
+      { input: `1-5`, output: `1-5` },
+      { input: `555-1234-5678 `, output: `555-1234-5678 ` },
+      { input: `a1-5 `, output: `a1-5 ` },
+      { input: `2017-2018 `, output: `2017–2018 ` },
+      { input: `1990-95 `, output: `1990–95 ` }
+    ]);
+  });
+
+  it('should leave phone numbers and dates alone', () => {
+    assertRegExReplacements(getSmartTypographyRegExp({ enDashes: true }), [
+      { input: `555-1234 `, output: `555-1234 ` },
+      { input: `(555-1234) `, output: `(555-1234) ` },
+      { input: `555-123-4567 `, output: `555-123-4567 ` },
+      { input: `1-800-555-1234 `, output: `1-800-555-1234 ` },
+      { input: `2024-01-15 `, output: `2024-01-15 ` },
+      { input: `2024-01 `, output: `2024-01 ` },
+      { input: `2024-10 `, output: `2024-10 ` },
+      { input: `12345-67890 `, output: `12345-67890 ` }
+    ]);
+  });
+
+  it('should replace (c), (r) and (tm) with symbols', () => {
+    assertRegExReplacements(getSmartTypographyRegExp({ symbols: true }), [
+      { input: `Copyright (c) `, output: `Copyright © ` },
+      { input: `BigCompany (tm) `, output: `BigCompany ™ ` },
+      { input: `(R) `, output: `® ` },
+      { input: `f(c) `, output: `f(c) ` }
+    ]);
+  });
+
+  it('should replace arrows', () => {
+    assertRegExReplacements(getSmartTypographyRegExp({ arrows: true }), [
+      { input: `this -> that `, output: `this → that ` },
+      { input: `that <- this `, output: `that ← this ` },
+      { input: `if => then `, output: `if ⇒ then ` }
+    ]);
+  });
+
+  it('should replace fractions', () => {
+    assertRegExReplacements(getSmartTypographyRegExp({ fractions: true }), [
+      { input: `1/2 `, output: `½ ` },
+      { input: `add 3/4 cup `, output: `add ¾ cup ` },
+      { input: `11/2 `, output: `11/2 ` },
+      { input: `1/2/2020 `, output: `1/2/2020 ` }
+    ]);
+  });
+
+  it('should replace the x between numbers with a multiplication sign', () => {
+    assertRegExReplacements(getSmartTypographyRegExp({ multiplication: true }), [
+      { input: `3x4 `, output: `3×4 ` },
+      { input: `1920x1080, `, output: `1920×1080, ` },
+      { input: `0x1F `, output: `0x1F ` },
+      { input: `0x10 `, output: `0x10 ` },
+      { input: `(0x10) `, output: `(0x10) ` }
+    ]);
+  });
+
+  it('should replace feet and inches with primes', () => {
+    assertRegExReplacements(getSmartTypographyRegExp({ primes: true }), [
+      { input: `5'10" `, output: `5′10″ ` },
+      { input: `6' `, output: `6′ ` },
+      { input: `12" `, output: `12″ ` },
+      { input: `1990's `, output: `1990's ` }
+    ]);
+  });
+
+  it('should only include the enabled families', () => {
+    assert.equal(getSmartTypographyRegExp({}).length, 0);
+    assert.equal(getSmartTypographyRegExp({ arrows: true, primes: false }).length, 3);
+    assert(getSmartTypographyRegExp(true).length > getSmartTypographyRegExp({ arrows: true }).length);
+  });
+});
+
 function assertRegExReplacements(replacementItems, testCases) {
   for (let {input, output} of testCases) {
 
@@ -135,3 +336,18 @@ function assertRegExReplacements(replacementItems, testCases) {
     assert.equal(input, output);
   }
 }
+
+describe('the getBoundaryRegExp method', () => {
+  it('should match the characters in the given sets', () => {
+    let regExp = getBoundaryRegExp(['punctuation', 'symbols']);
+
+    for (let character of '.,!?|+-—') assert(regExp.test(character), character);
+    for (let character of ' \n()"a') assert(!regExp.test(character), character);
+  });
+
+  it('should match every boundary by default, and nothing for no sets', () => {
+    assert(getBoundaryRegExp().test('»'));
+    assert.equal(getBoundaryRegExp([]), null);
+    assert.throws(() => getBoundaryRegExp(['emoji']), /Unknown boundary set/);
+  });
+});
@@ -0,0 +1,39 @@
+import assert from 'assert';
+import {registerShortcode, getRegisteredShortcodes, getShortcodeItem} from '../src/shortcodes';
+
+describe('the getShortcodeItem method', () => {
+  it('should expand names with a method or an object', () => {
+    let fromMethod = getShortcodeItem({ prefix: ':', suffix: ':', expand: (name) => name.toUpperCase() });
+    let fromObject = getShortcodeItem({ prefix: ';', expand: { sig: 'Best, Ada' } });
+
+    assert.equal(fromMethod.replacement(':party:'), 'PARTY');
+    assert.equal(fromObject.replacement(';sig'), 'Best, Ada');
+    assert.equal(fromObject.replacement(';toString'), null);
+  });
+
+  it('should only match at the end of the text', () => {
+    let {regExp} = getShortcodeItem({ prefix: ':', suffix: ':', expand: {} });
+
+    assert(regExp.test('hi :smile:'));
+    assert(!regExp.test('hi :smile: '));
+    assert(!regExp.test('hi :smile'));
+  });
+
+  it('should require a prefix and a way to expand', () => {
+    assert.throws(() => getShortcodeItem({ prefix: '', expand: {} }), /prefix/);
+    assert.throws(() => getShortcodeItem({ prefix: ';' }), /expand/);
+  });
+});
+
+describe('the registerShortcode method', () => {
+  it('should register shortcodes until unsubscribed, most recent first', () => {
+    let first = { prefix: ';', expand: { sig: 'Best' } };
+    let second = { prefix: '!', expand: { sig: 'Cheers' } };
+
+    let subscriptions = [registerShortcode(first), registerShortcode(second)];
+    assert.deepEqual(getRegisteredShortcodes(), [second, first]);
+
+    subscriptions.forEach((subscription) => subscription.unsubscribe());
+    assert.deepEqual(getRegisteredShortcodes(), []);
+  });
+});
@@ -0,0 +1,62 @@
+import assert from 'assert';
+import {smartify, dumbify} from '../src/smart-text';
+
+describe('the smartify method', () => {
+  it('should convert every quote and dash in the text', () => {
+    let text = '"Hello," she said -- "it\'s been ages."\nHe said \'yes\'...';
+
+    assert.equal(smartify(text, { locale: 'en' }),
+      '“Hello,” she said — “it’s been ages.”\nHe said ‘yes’…');
+  });
+
+  it('should leave markdown code spans and fences alone', () => {
+    let text = 'Run `echo "hi" -- there` and "see"\n```\nconst s = "don\'t";\n```\n"done"';
+
+    assert.equal(smartify(text, { locale: 'en' }),
+      'Run `echo "hi" -- there` and “see”\n```\nconst s = "don\'t";\n```\n“done”');
+  });
+
+  it('should use the quotes of the given locale', () => {
+    assert.equal(smartify('"Guten Tag"', { locale: 'de' }), '„Guten Tag“');
+    assert.equal(smartify('彼は"こんにちは"と"言った"', { locale: 'ja' }), '彼は「こんにちは」と「言った」');
+  });
+
+  it('should leave (c) alone mid-word and in an enumerated list', () => {
+    assert.equal(smartify('f(c) and (a) (b) (c), but (c) 2024 ', { locale: 'en', smartTypography: true }),
+      'f(c) and (a) (b) (c), but © 2024 ');
+  });
+
+  it('should only apply the rules that are on', () => {
+    let text = '"Wait" -- 5x4 (c)';
+
+    assert.equal(smartify(text, { locale: 'en', useSmartQuotes: false }), '"Wait" — 5x4 (c)');
+    assert.equal(smartify(text, { locale: 'en', smartTypography: true }),
+      '“Wait” — 5×4 ©');
+  });
+
+  it('should leave URLs alone', () => {
+    let text = 'See http://example.com/a--b for "details"';
+    assert.equal(smartify(text, { locale: 'en' }), 'See http://example.com/a--b for “details”');
+  });
+});
+
+describe('the dumbify method', () => {
+  it('should replace smart punctuation with plain ASCII', () => {
+    let text = '“Hello,” she said — “it’s been ages…” 5×4 → ½';
+    assert.equal(dumbify(text), '"Hello," she said -- "it\'s been ages..." 5x4 -> 1/2');
+  });
+
+  it('should take the spacing inside French quotes with them', () => {
+    assert.equal(dumbify('«\u202fBonjour\u202f»'), '"Bonjour"');
+  });
+
+  it('should leave markdown code spans and fences alone', () => {
+    let text = '“Quote” `“kept”`\n```\n—\n```\n—';
+    assert.equal(dumbify(text), '"Quote" `“kept”`\n```\n—\n```\n--');
+  });
+
+  it('should undo smartify', () => {
+    let text = '"Hello," she said -- "it\'s been ages..."\nSee `a "b"`.';
+    assert.equal(dumbify(smartify(text, { locale: 'fr' })), text);
+  });
+});
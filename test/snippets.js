@@ -0,0 +1,69 @@
+import assert from 'assert';
+import {expandSnippet, registerSnippetToken} from '../src/snippets';
+
+describe('the expandSnippet method', () => {
+  it('should leave plain text alone, with the caret at the end', () => {
+    assert.deepEqual(expandSnippet('Thanks for reaching out!'), {
+      text: 'Thanks for reaching out!',
+      tabStops: [{ startIndex: 24, endIndex: 24 }]
+    });
+  });
+
+  it('should put the caret at the marker', () => {
+    assert.deepEqual(expandSnippet('Hi $0, thanks!'), {
+      text: 'Hi , thanks!',
+      tabStops: [{ startIndex: 3, endIndex: 3 }]
+    });
+  });
+
+  it('should visit tab stops in order, then the caret', () => {
+    let {text, tabStops} = expandSnippet('Dear ${2:title} ${1:name},$0 see ${3}.');
+
+    assert.equal(text, 'Dear title name, see .');
+    assert.deepEqual(tabStops.map(({startIndex, endIndex}) => text.substring(startIndex, endIndex)),
+      ['name', 'title', '', '']);
+    assert.deepEqual(tabStops[3], { startIndex: 16, endIndex: 16 });
+  });
+
+  it('should escape dollar signs', () => {
+    assert.equal(expandSnippet('It costs $$5').text, 'It costs $5');
+  });
+
+  it('should resolve variables, values and methods alike', () => {
+    let {text} = expandSnippet('Hi ${name}, your order ${order:short} ships ${day}', {
+      variables: {
+        name: 'Ada',
+        order: (style) => style === 'short' ? '#42' : 'order #42',
+        day: () => null
+      }
+    });
+
+    assert.equal(text, 'Hi Ada, your order #42 ships ');
+  });
+
+  it('should resolve the built-in tokens', () => {
+    assert.equal(expandSnippet('${date}').text, new Date().toLocaleDateString());
+    assert.equal(expandSnippet('${date:long}').text,
+      new Date().toLocaleDateString(undefined, { dateStyle: 'long' }));
+  });
+
+  it('should leave unknown tokens as they are', () => {
+    assert.equal(expandSnippet('Hi ${nobody}').text, 'Hi ${nobody}');
+  });
+
+  it('should leave tokens named after object properties alone, unless they are given', () => {
+    assert.equal(expandSnippet('${toString} ${constructor}').text, '${toString} ${constructor}');
+    assert.equal(expandSnippet('${toString}', { variables: { toString: 'ok' } }).text, 'ok');
+  });
+
+  it('should use registered tokens until they are unregistered', () => {
+    let subscription = registerSnippetToken('agent', (argument, {element}) => `${element.name} (${argument})`);
+    let element = { name: 'Grace' };
+
+    assert.equal(expandSnippet('— ${agent:Support}', { element }).text, '— Grace (Support)');
+    assert.equal(expandSnippet('— ${agent}', { variables: { agent: 'Ada' } }).text, '— Ada');
+
+    subscription.unsubscribe();
+    assert.equal(expandSnippet('— ${agent}').text, '— ${agent}');
+  });
+});
@@ -0,0 +1,351 @@
+import assert from 'assert';
+import {getReplacementItems, getSubstitutionEdits, substituteRange, applyEdits,
+  invertEdits} from '../src/substitution-engine';
+import {getContextDetectors} from '../src/context-detectors';
+
+describe('the getSubstitutionEdits method', () => {
+  it('should return an edit for the word before the caret', () => {
+    let items = getReplacementItems({ substitutions: [{ replace: 'shrug', with: '¯\\_(ツ)_/¯' }] });
+    let edits = getSubstitutionEdits('a shrug ', 8, items);
+
+    assert.equal(edits.length, 1);
+    assert.equal(edits[0].startIndex, 2);
+    assert.equal(edits[0].endIndex, 7);
+    assert.equal(edits[0].original, 'shrug');
+    assert.equal(edits[0].replacement, '¯\\_(ツ)_/¯');
+    assert.equal(edits[0].item.match, 'shrug');
+  });
+
+  it('should ignore words that are not before the caret', () => {
+    let items = getReplacementItems({ substitutions: [{ replace: 'shrug', with: '¯\\_(ツ)_/¯' }] });
+
+    assert.deepEqual(getSubstitutionEdits('shrug and more', 14, items), []);
+    assert.deepEqual(getSubstitutionEdits('shrug ', 3, items), []);
+  });
+
+  it('should ignore disabled and identical substitutions', () => {
+    let items = getReplacementItems({
+      substitutions: [
+        { replace: 'omw', with: 'On my way!', on: false },
+        { replace: 'same', with: 'same' }
+      ]
+    });
+
+    assert.deepEqual(getSubstitutionEdits('omw ', 4, items), []);
+    assert.deepEqual(getSubstitutionEdits('same ', 5, items), []);
+  });
+
+  it('should handle multiple substitutions', () => {
+    let items = getReplacementItems({
+      substitutions: [
+        { replace: 'disapproval', with: 'ಠ_ಠ' },
+        { replace: 'shrug', with: '¯\\_(ツ)_/¯' }
+      ]
+    });
+
+    assert.equal(typeText('here is a shrug,', items), 'here is a ¯\\_(ツ)_/¯,');
+    assert.equal(typeText('and a gaze of disapproval.', items), 'and a gaze of ಠ_ಠ.');
+  });
+
+  it('should carry the case of the typed text over, if a rule allows any case', () => {
+    let items = getReplacementItems({
+      substitutions: [{ replace: 'omw', with: 'on my way', matchCase: false }]
+    });
+
+    assert.equal(typeText('omw ', items), 'on my way ');
+    assert.equal(typeText('Omw ', items), 'On my way ');
+    assert.equal(typeText('OMW ', items), 'ON MY WAY ');
+  });
+
+  it('should capitalize the replacement at the start of a sentence, if a rule asks', () => {
+    let items = getReplacementItems({
+      substitutions: [
+        { replace: 'omw', with: 'on my way', capitalizeSentences: true },
+        { replace: 'brb', with: 'be right back' }
+      ]
+    });
+
+    assert.equal(typeText('omw ', items), 'On my way ');
+    assert.equal(typeText('ok, omw ', items), 'ok, on my way ');
+    assert.equal(typeText('ok. omw ', items), 'ok. On my way ');
+    assert.equal(typeText('Really?! (omw) ', items), 'Really?! (On my way) ');
+    assert.equal(typeText('ok\nomw ', items), 'ok\nOn my way ');
+    assert.equal(typeText('ok. brb ', items), 'ok. be right back ');
+  });
+
+  it('should handle the man known as shinypb', () => {
+    let items = getReplacementItems({
+      substitutions: [
+        { replace: "(tm)",  with: "™" },
+        { replace: "....",  with: "…" },
+        { replace: "->",    with: "→" },
+        { replace: "<-",    with: "←" },
+        { replace: "(1/2)", with: "½" },
+        { replace: "(c)",   with: "©" },
+        { replace: "(1/4)", with: "¼" },
+        { replace: "(r)",   with: "®" },
+        { replace: "(3/4)", with: "¾" },
+        { replace: "(2/3)", with: "⅔" },
+        { replace: "(1/3)", with: "⅓" }
+      ],
+      useSmartDashes: true
+    });
+
+    assert.equal(
+      typeText('Hello (c) . look here -> or there <- (1/2) is less than (3/4) (r) .... (1/3) (tm)... ', items),
+      'Hello © . look here → or there ← ½ is less than ¾ ® … ⅓ ™… ');
+  });
+
+  it('should handle the infamous lbo', () => {
+    let items = getReplacementItems({
+      substitutions: [
+        { replace: "->", with: "→" },
+        { replace: "<-", with: "←" },
+        { replace: "|->", with: "↳" },
+        { replace: "<-|", with: "↵" }
+      ]
+    });
+
+    assert.equal(typeText('<-| is ←|, |-> is |→', items), '↵ is ←|, ↳ is |→');
+  });
+
+  it('should replace quotes & dashes, if enabled', () => {
+    let items = getReplacementItems({
+      substitutions: [],
+      useSmartQuotes: true,
+      useSmartDashes: true,
+      locale: 'en-US'
+    });
+
+    assert.equal(
+      typeText('\'This is a single quote,\' she said--- \"And this is a double\" ', items),
+      '‘This is a single quote,’ she said— “And this is a double” ');
+  });
+});
+
+describe('the locale preference', () => {
+  it('should determine the style of smart quotes', () => {
+    let items = getReplacementItems({
+      substitutions: [{ replace: 'hi', with: 'He said "hello"' }],
+      useSmartQuotes: true,
+      locale: 'de'
+    });
+
+    assert.equal(typeText('"hi" ', items), '„He said „hello““ ');
+  });
+
+  it('should pair quotes in the middle of a Japanese sentence', () => {
+    let items = getReplacementItems({ substitutions: [], useSmartQuotes: true, locale: 'ja' });
+    assert.equal(typeText('彼は"こんにちは"と言った。\'また\'ね', items), '彼は「こんにちは」と言った。『また』ね');
+  });
+});
+
+describe('the smartTypography preference', () => {
+  it('should keep primes from becoming curly quotes', () => {
+    let items = getReplacementItems({
+      substitutions: [],
+      useSmartQuotes: true,
+      useSmartDashes: true,
+      smartTypography: true,
+      locale: 'en'
+    });
+
+    assert.equal(typeText('"She is 5\'10" tall, (c) 2017-2018" ', items), '“She is 5′10″ tall, © 2017–2018” ');
+  });
+});
+
+describe('the useAutocorrect preference', () => {
+  it('should correct common misspellings in the locale, in any case', () => {
+    let items = getReplacementItems({ useAutocorrect: true, useSmartQuotes: true, locale: 'en-US' });
+
+    assert.equal(typeText('teh cat ', items), 'the cat ');
+    assert.equal(typeText('Teh cat ', items), 'The cat ');
+    assert.equal(typeText('I dont know ', items), 'I don\u2019t know ');
+    assert.equal(typeText('Ich weiss nciht ', getReplacementItems({ useAutocorrect: true, locale: 'de' })),
+      'Ich weiss nicht ');
+  });
+
+  it('should be off unless asked for', () => {
+    assert.equal(typeText('teh cat ', getReplacementItems({ locale: 'en' })), 'teh cat ');
+  });
+
+  it("should defer to the user's own substitutions, even ones that are off", () => {
+    let items = getReplacementItems({
+      substitutions: [{ replace: 'teh', with: 'tea' }, { replace: 'alot', with: 'alot', on: false }],
+      useAutocorrect: true,
+      locale: 'en'
+    });
+
+    assert.equal(typeText('teh alot ', items), 'tea alot ');
+  });
+
+  it('should leave excluded words alone', () => {
+    let items = getReplacementItems({ useAutocorrect: true, autocorrectExclusions: ['Cant'], locale: 'en' });
+    assert.equal(typeText('cant recieve ', items), 'cant receive ');
+  });
+});
+
+describe('shortcodes', () => {
+  it('should expand immediate substitutions as soon as they are typed', () => {
+    let items = getReplacementItems({ substitutions: [{ replace: ';sig', with: 'Best, Ada', immediate: true }] });
+    assert.equal(typeText('Thanks! ;sig', items), 'Thanks! Best, Ada');
+  });
+
+  it('should expand emoji shortcodes when the closing colon is typed', () => {
+    let items = getReplacementItems({ emojiShortcodes: { skinTone: 2 }, useSmartQuotes: true });
+
+    assert.equal(typeText('nice :smile:', items), 'nice 😄');
+    assert.equal(typeText(':+1::wave_tone4:', items), '👍\u{1f3fc}👋\u{1f3fe}');
+    assert.equal(typeText('at 10:30: :nope:', items), 'at 10:30: :nope:');
+  });
+
+  it('should expand the shortcodes it is given', () => {
+    let items = getReplacementItems({
+      shortcodes: [{ prefix: '#', name: /\d+/, suffix: ' ', expand: (issue) => `issue ${issue} ` }]
+    });
+
+    assert.equal(typeText('fixes #42 today', items), 'fixes issue 42 today');
+  });
+});
+
+describe('the triggers preference', () => {
+  it('should only substitute at the given boundaries', () => {
+    let items = getReplacementItems({
+      substitutions: [{ replace: 'omw', with: 'on my way' }, { replace: 'ty', with: 'thank you', triggers: { boundaries: 'all' } }],
+      triggers: { boundaries: ['space'] }
+    });
+
+    assert.equal(typeText('omw. ', items), 'omw. ');
+    assert.equal(typeText('omw ', items), 'on my way ');
+    assert.equal(typeText('ty. ', items), 'thank you. ');
+  });
+
+  it('should only substitute for keys that trigger a rule', () => {
+    let items = getReplacementItems({
+      substitutions: [{ replace: 'omw', with: 'on my way', triggers: { boundaries: [], keys: ['tab'] } }]
+    });
+
+    assert.equal(typeText('omw ', items), 'omw ');
+    assert.deepEqual(getSubstitutionEdits('omw', 3, items, { key: 'enter' }), []);
+
+    let [edit] = getSubstitutionEdits('I am omw', 8, items, { key: 'tab' });
+    assert.equal(edit.startIndex, 5);
+    assert.equal(edit.replacement, 'on my way');
+  });
+});
+
+describe('the contextDetectors option', () => {
+  let items = getReplacementItems({
+    substitutions: [{ replace: 'omw', with: 'On my way!' }],
+    useSmartQuotes: true,
+    useSmartDashes: true,
+    locale: 'en'
+  });
+
+  let contextDetectors = getContextDetectors();
+
+  it('should skip substitutions in code, URLs, email addresses, mentions and hashtags', () => {
+    assert.equal(typeText('run `npm test --watch` and it\'s done ', items, { contextDetectors }),
+      'run `npm test --watch` and it’s done ');
+    assert.equal(typeText('```\nomw "quoted"\n```\nomw ', items, { contextDetectors }),
+      '```\nomw "quoted"\n```\nOn my way! ');
+    assert.equal(typeText('go to https://foo--bar.com/omw now-- ok ', items, { contextDetectors }),
+      'go to https://foo--bar.com/omw now— ok ');
+    assert.equal(typeText('mail ab@c--d.com and @it\'s #it\'s it\'s ', items, { contextDetectors }),
+      'mail ab@c--d.com and @it\'s #it\'s it’s ');
+  });
+
+  it('should use custom detectors', () => {
+    let inBrackets = (text, index) => text.lastIndexOf('[', index) > text.lastIndexOf(']', index);
+    assert.equal(typeText('[omw] omw ', items, { contextDetectors: [inBrackets] }), '[omw] On my way! ');
+  });
+});
+
+describe('the invertEdits method', () => {
+  it('should restore the original text', () => {
+    let items = getReplacementItems({
+      substitutions: [{ replace: 'omw', with: 'On my \'way\'' }],
+      useSmartQuotes: true,
+      locale: 'en'
+    });
+
+    let edits = getSubstitutionEdits('so omw ', 7, items);
+    let substituted = applyEdits('so omw ', 7, edits);
+    assert.deepEqual(substituted, { text: 'so On my ‘way’ ', caret: 15 });
+
+    let reverted = applyEdits(substituted.text, substituted.caret, invertEdits(edits));
+    assert.deepEqual(reverted, { text: 'so omw ', caret: 7 });
+  });
+});
+
+describe('the filterEdit option', () => {
+  it('should skip edits that are filtered out', () => {
+    let items = getReplacementItems({ substitutions: [{ replace: 'omw', with: 'On my way!' }] });
+    let edits = getSubstitutionEdits('omw ', 4, items, { filterEdit: ({original}) => original !== 'omw' });
+
+    assert.deepEqual(edits, []);
+  });
+});
+
+describe('the substituteRange method', () => {
+  let items = getReplacementItems({
+    substitutions: [{ replace: 'omw', with: 'On my way!' }],
+    useSmartQuotes: true,
+    useSmartDashes: true,
+    locale: 'en'
+  });
+
+  it('should substitute the range as if it had been typed', () => {
+    let text = 'She said "omw" -- and left. ';
+    let result = substituteRange(text, 0, text.length, items);
+
+    assert.equal(result.text, 'She said “On my way!” — and left. ');
+    assert.equal(result.endIndex, result.text.length);
+    assert.equal(result.edits.length, 4);
+  });
+
+  it('should use the character after the range to complete its last word', () => {
+    let result = substituteRange('say "hi" now', 4, 8, items);
+    assert.equal(result.text, 'say “hi” now');
+    assert.equal(result.endIndex, 8);
+
+    result = substituteRange('omw', 0, 3, items);
+    assert.equal(result.text, 'omw');
+  });
+
+  it('should leave text outside the range alone', () => {
+    let text = '"before" omw "pasted" omw';
+    let result = substituteRange(text, 13, 21, items);
+
+    assert.equal(result.text, '"before" omw “pasted” omw');
+    assert.equal(result.endIndex, 21);
+  });
+});
+
+describe('the applyEdits method', () => {
+  it('should move the caret along with the edits', () => {
+    let edit = { startIndex: 0, endIndex: 3, replacement: 'On my way!' };
+
+    assert.deepEqual(applyEdits('omw ', 4, [edit]), { text: 'On my way! ', caret: 11 });
+    assert.deepEqual(applyEdits('omw ', 0, [edit]), { text: 'On my way! ', caret: 0 });
+    assert.deepEqual(applyEdits('omw ', 2, [edit]), { text: 'On my way! ', caret: 10 });
+  });
+});
+
+/**
+ * Types the given text one character at a time, applying substitutions after
+ * each character like the input listener would.
+ */
+function typeText(input, items, options) {
+  let text = '', caret = 0;
+
+  for (let character of input) {
+    text = text.substring(0, caret) + character + text.substring(caret);
+    caret += character.length;
+
+    let edits = getSubstitutionEdits(text, caret, items, options);
+    ({text, caret} = applyEdits(text, caret, edits));
+  }
+
+  return text;
+}
@@ -0,0 +1,276 @@
+import assert from 'assert';
+import {parseSubstitutions, serializeSubstitutions, getSubstitutionFormat,
+  substitutionFormats} from '../src/substitution-formats';
+
+const substitutions = [
+  { replace: 'omw', with: 'On my way!' },
+  { replace: '(c)', with: '©' },
+  { replace: 'sig', with: 'Cheers,\n"Ada" & <team>' }
+];
+
+describe('the parseSubstitutions method', () => {
+  it('should read a macOS Text Replacements plist', () => {
+    let plist = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">',
+      '<plist version="1.0">',
+      '<array>',
+      '\t<dict>',
+      '\t\t<key>phrase</key>',
+      '\t\t<string>On my way!</string>',
+      '\t\t<key>shortcut</key>',
+      '\t\t<string>omw</string>',
+      '\t</dict>',
+      '\t<dict>',
+      '\t\t<key>phrase</key>',
+      '\t\t<string>&#169; &amp; &lt;3</string>',
+      '\t\t<key>shortcut</key>',
+      '\t\t<string>(c)</string>',
+      '\t</dict>',
+      '</array>',
+      '</plist>'
+    ].join('\n');
+
+    assert.deepEqual(parseSubstitutions(plist, 'plist'), {
+      substitutions: [
+        { replace: 'omw', with: 'On my way!' },
+        { replace: '(c)', with: '© & <3' }
+      ],
+      errors: []
+    });
+  });
+
+  it('should report plist entries without a shortcut, and unclosed tags', () => {
+    let plist = '<plist>\n<array>\n<dict>\n<key>phrase</key>\n<string>Hi</string>\n</dict>\n<dict>';
+    let {substitutions, errors} = parseSubstitutions(plist, 'plist');
+
+    assert.deepEqual(substitutions, []);
+    assert.deepEqual(errors, [
+      { line: 3, message: 'Missing the text to replace' },
+      { line: 7, message: 'Missing </dict>' }
+    ]);
+  });
+
+  it('should report character references that are out of range, and leave unknown entities alone', () => {
+    let plist = '<plist>\n<array>\n<dict>\n<key>shortcut</key>\n<string>bad</string>\n' +
+      '<key>phrase</key>\n<string>&#x110000; &constructor;</string>\n</dict>\n</array>\n</plist>';
+    let {substitutions, errors} = parseSubstitutions(plist, 'plist');
+
+    assert.deepEqual(substitutions, [{ replace: 'bad', with: '&#x110000; &constructor;' }]);
+    assert.deepEqual(errors, [{ line: 7, message: 'Invalid character reference: &#x110000;' }]);
+  });
+
+  it('should read CSV, with or without a header', () => {
+    let csv = 'shortcut,phrase\r\nomw,On my way!\r\n"(c)",©\r\nsig,"Cheers,\n""Ada"""\r\n';
+    assert.deepEqual(parseSubstitutions(csv, 'csv'), {
+      substitutions: [
+        { replace: 'omw', with: 'On my way!' },
+        { replace: '(c)', with: '©' },
+        { replace: 'sig', with: 'Cheers,\n"Ada"' }
+      ],
+      errors: []
+    });
+
+    assert.deepEqual(parseSubstitutions('omw,On my way!', 'csv').substitutions, [
+      { replace: 'omw', with: 'On my way!' }
+    ]);
+  });
+
+  it('should report CSV rows with the wrong number of columns', () => {
+    let csv = 'omw,On my way!\nbrb\n"multi\nline",x,y\nok,"fine"';
+    assert.deepEqual(parseSubstitutions(csv, 'csv').errors, [
+      { line: 2, message: 'Expected 2 columns, but found 1' },
+      { line: 3, message: 'Expected 2 columns, but found 3' }
+    ]);
+  });
+
+  it('should read JSON arrays and text preferences', () => {
+    let json = JSON.stringify([
+      { replace: 'omw', with: 'on my way', matchCase: false },
+      { replace: 'brb', on: false }
+    ], null, 2);
+
+    assert.deepEqual(parseSubstitutions(json, 'json').substitutions, [
+      { replace: 'omw', with: 'on my way', matchCase: false },
+      { replace: 'brb', with: undefined, on: false }
+    ]);
+
+    let preferences = JSON.stringify({ useSmartQuotes: true, substitutions });
+    assert.deepEqual(parseSubstitutions(preferences, 'json').substitutions, substitutions);
+  });
+
+  it('should report JSON syntax errors and bad entries with line numbers', () => {
+    let {errors} = parseSubstitutions('[\n  { "replace": "omw", "with": "x" },\n  { "replace": }\n]', 'json');
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].line, 3);
+
+    errors = parseSubstitutions('[\n  { "replace": "omw", "with": "x" },\n  "nope",\n  { "with": "y" }\n]', 'json').errors;
+    assert.deepEqual(errors, [
+      { line: 3, message: 'Expected a substitution object' },
+      { line: 4, message: 'Missing the text to replace' }
+    ]);
+  });
+
+  it('should report invalid triggers in JSON', () => {
+    let json = JSON.stringify([
+      { replace: 'a', with: 'b', triggers: 'tab' },
+      { replace: 'c', with: 'd', triggers: { boundaries: ['emoji'] } },
+      { replace: 'e', with: 'f', triggers: { keys: ['escape'] } },
+      { replace: 'g', with: 'h', triggers: { neverMidWord: 'yes' } }
+    ], null, 2);
+
+    assert.deepEqual(parseSubstitutions(json, 'json'), {
+      substitutions: [],
+      errors: [
+        { line: 2, message: 'Invalid triggers for "a": expected an object' },
+        { line: 7, message: 'Invalid triggers for "c": unknown boundary set "emoji"' },
+        { line: 16, message: 'Invalid triggers for "e": unknown trigger key "escape"' },
+        { line: 25, message: 'Invalid triggers for "g": neverMidWord should be true or false' }
+      ]
+    });
+  });
+
+  it('should read espanso match files', () => {
+    let yaml = [
+      '# Shortcuts for the team',
+      'matches:',
+      '  - trigger: ":omw"',
+      '    replace: "On my way!"',
+      '',
+      '  - triggers: [":hi", \':hey\']',
+      '    replace: Hello there  # a comment',
+      '    propagate_case: true',
+      '  - trigger: ":sig"',
+      '    replace: |',
+      '      Cheers,',
+      '        Ada',
+      '    vars:',
+      '      - name: today',
+      '        type: date',
+      '  - trigger: ":esc"',
+      '    replace: "tab\\there, \\"quoted\\" \\\\0"',
+      'global_vars: []'
+    ].join('\n');
+
+    assert.deepEqual(parseSubstitutions(yaml, 'espanso'), {
+      substitutions: [
+        { replace: ':omw', with: 'On my way!' },
+        { replace: ':hi', with: 'Hello there', matchCase: false },
+        { replace: ':hey', with: 'Hello there', matchCase: false },
+        { replace: ':sig', with: 'Cheers,\n  Ada\n' },
+        { replace: ':esc', with: 'tab\there, "quoted" \\0' }
+      ],
+      errors: []
+    });
+  });
+
+  it('should report espanso matches that are not supported', () => {
+    let yaml = [
+      'matches:',
+      '  - regex: "(?P<n>\\\\d+)x"',
+      '    replace: "{{n}} times"',
+      '  - trigger: ":form"',
+      '    form: "Hi [[name]]"',
+      '  - trigger: ":bad"',
+      '    replace: "never closed'
+    ].join('\n');
+
+    assert.deepEqual(parseSubstitutions(yaml, 'espanso').errors, [
+      { line: 2, message: 'Regex triggers aren\'t supported' },
+      { line: 4, message: '"form" matches aren\'t supported' },
+      { line: 7, message: 'A quoted string is never closed' },
+      { line: 6, message: 'Missing the replacement for ":bad"' }
+    ].sort((a, b) => a.line - b.line));
+  });
+
+  it('should report duplicate and conflicting entries', () => {
+    let csv = 'omw,On my way!\nbrb,Be right back\nomw,On my way!\nbrb,Be back soon';
+    let {substitutions, errors} = parseSubstitutions(csv, 'csv');
+
+    assert.deepEqual(substitutions, [
+      { replace: 'omw', with: 'On my way!' },
+      { replace: 'brb', with: 'Be right back' }
+    ]);
+
+    assert.deepEqual(errors, [
+      { line: 3, message: 'Duplicate of line 1: "omw"' },
+      { line: 4, message: '"brb" conflicts with line 2, which replaces it with "Be right back"' }
+    ]);
+  });
+
+  it('should read entries that replace the names of object properties', () => {
+    let {substitutions, errors} = parseSubstitutions('constructor,builder\ntoString,x\ntoString,y\n', 'csv');
+
+    assert.deepEqual(substitutions, [
+      { replace: 'constructor', with: 'builder' },
+      { replace: 'toString', with: 'x' }
+    ]);
+    assert.deepEqual(errors, [{ line: 3, message: '"toString" conflicts with line 2, which replaces it with "x"' }]);
+  });
+
+  it('should parse large files in linear time, with the right line numbers', function() {
+    this.timeout(10000);
+
+    let entries = Array.from({ length: 20000 }, (_, index) => ({ replace: `sc${index}`, with: `Phrase ${index}` }));
+    let duplicate = { replace: 'sc0', with: 'Phrase 0' };
+
+    for (let format of substitutionFormats) {
+      let contents = serializeSubstitutions([...entries, duplicate], format);
+
+      let start = Date.now();
+      let {substitutions, errors} = parseSubstitutions(contents, format);
+      let elapsed = Date.now() - start;
+
+      assert.equal(substitutions.length, entries.length);
+      assert.equal(errors.length, 1);
+      assert(errors[0].line > contents.split('\n').length - 10, `${format} reported line ${errors[0].line}`);
+
+      // NB: Scanning for each line number made this take tens of seconds.
+      assert(elapsed < 2000, `Parsing ${format} took ${elapsed}ms`);
+    }
+  });
+
+  it('should throw for an unknown format', () => {
+    assert.throws(() => parseSubstitutions('', 'docx'), /Unknown format/);
+  });
+});
+
+describe('the serializeSubstitutions method', () => {
+  it('should round-trip every format', () => {
+    for (let format of substitutionFormats) {
+      let serialized = serializeSubstitutions(substitutions, format);
+      assert.deepEqual(parseSubstitutions(serialized, format), { substitutions, errors: [] }, format);
+    }
+  });
+
+  it('should leave out substitutions that are off, except in JSON', () => {
+    let withDisabled = [...substitutions, { replace: 'brb', on: false }];
+
+    assert.equal(parseSubstitutions(serializeSubstitutions(withDisabled, 'csv'), 'csv').substitutions.length, 3);
+    assert.equal(parseSubstitutions(serializeSubstitutions(withDisabled, 'json'), 'json').substitutions.length, 4);
+  });
+
+  it('should keep per-substitution triggers in JSON', () => {
+    let withTriggers = [
+      { replace: 'ty', with: 'thank you', triggers: { boundaries: ['space'], keys: ['tab'] } },
+      { replace: '(tm)', with: '™', triggers: { boundaries: 'all', neverMidWord: true } }
+    ];
+
+    let serialized = serializeSubstitutions(withTriggers, 'json');
+    assert.deepEqual(parseSubstitutions(serialized, 'json'), { substitutions: withTriggers, errors: [] });
+  });
+
+  it('should keep case handling in espanso files', () => {
+    let serialized = serializeSubstitutions([{ replace: 'omw', with: 'on my way', matchCase: false }], 'espanso');
+    assert.equal(serialized, 'matches:\n  - trigger: "omw"\n    replace: "on my way"\n    propagate_case: true\n');
+  });
+});
+
+describe('the getSubstitutionFormat method', () => {
+  it('should recognize file extensions', () => {
+    assert.equal(getSubstitutionFormat('/Users/ada/Desktop/Text Replacements.plist'), 'plist');
+    assert.equal(getSubstitutionFormat('shortcuts.CSV'), 'csv');
+    assert.equal(getSubstitutionFormat('base.yml'), 'espanso');
+    assert.equal(getSubstitutionFormat('notes.txt'), null);
+  });
+});
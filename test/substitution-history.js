@@ -0,0 +1,93 @@
+import assert from 'assert';
+import {createSubstitutionHistory, getTextChange, maxHistoryLength, getElementHistory,
+  hasElementHistory} from '../src/substitution-history';
+
+const omw = { startIndex: 0, endIndex: 3, original: 'omw', replacement: 'On my way!' };
+
+describe('the getTextChange method', () => {
+  it('should find text that was inserted, removed or replaced', () => {
+    assert.deepEqual(getTextChange('foo bar', 'foo baz bar', 8), { startIndex: 4, endIndex: 4, length: 4 });
+    assert.deepEqual(getTextChange('foo bar!', 'foo ba!', 6), { startIndex: 6, endIndex: 7, length: 0 });
+    assert.deepEqual(getTextChange('foo bar', 'foo qux'), { startIndex: 4, endIndex: 7, length: 3 });
+  });
+
+  it('should place an ambiguous change just before the caret', () => {
+    assert.deepEqual(getTextChange('foo bar', 'foo bbar', 5), { startIndex: 4, endIndex: 4, length: 1 });
+    assert.deepEqual(getTextChange('foo bar', 'foo bbar', 6), { startIndex: 5, endIndex: 5, length: 1 });
+  });
+});
+
+describe('the createSubstitutionHistory method', () => {
+  it('should record substitutions where their replacements ended up', () => {
+    let history = createSubstitutionHistory('omw -- ');
+    history.record([omw, { startIndex: 11, endIndex: 13, original: '--', replacement: '—' }], 'On my way! — ');
+
+    assert.deepEqual(history.getRecords().map(({startIndex, endIndex}) => [startIndex, endIndex]), [[0, 10], [11, 12]]);
+  });
+
+  it('should move records along as text is typed before them', () => {
+    let history = createSubstitutionHistory('omw ');
+    history.record([omw], 'On my way! ');
+
+    history.sync('So, On my way! ', 4);
+    assert.deepEqual(history.getRecords()[0], { ...omw, startIndex: 4, endIndex: 14, rule: undefined });
+
+    history.sync('So, On my way! Bye', 18);
+    assert.equal(history.getRecords()[0].startIndex, 4);
+  });
+
+  it('should drop records once their replacement is edited', () => {
+    let history = createSubstitutionHistory('omw ');
+    history.record([omw], 'On my way! ');
+
+    history.sync('On my day! ', 7);
+    assert.deepEqual(history.getRecords(), []);
+  });
+
+  it('should move the suppressed range along, but not grow it as text is typed after it', () => {
+    let history = createSubstitutionHistory('omw ');
+    history.suppressedRange = { startIndex: 0, endIndex: 3 };
+
+    history.sync('omw x', 5);
+    assert.deepEqual(history.suppressedRange, { startIndex: 0, endIndex: 3 });
+
+    history.sync('> omw x', 2);
+    assert.deepEqual(history.suppressedRange, { startIndex: 2, endIndex: 5 });
+  });
+
+  it('should ignore changes until there is something to track', () => {
+    let history = createSubstitutionHistory('');
+    assert(!history.isTracking());
+
+    history.sync('a stale text', 12);
+    history.record([{ ...omw, startIndex: 4, endIndex: 7 }], 'So, On my way! ');
+    assert(history.isTracking());
+
+    history.sync('Ok. So, On my way! ', 4);
+    assert.deepEqual(history.getRecords().map(({startIndex, endIndex}) => [startIndex, endIndex]), [[8, 18]]);
+  });
+
+  it('should only remember the most recent substitutions', () => {
+    let history = createSubstitutionHistory('');
+    for (let index = 0; index <= maxHistoryLength; index++) {
+      history.record([{ startIndex: index, endIndex: index, original: '', replacement: 'x' }], 'x'.repeat(index + 1));
+    }
+
+    let records = history.getRecords();
+    assert.equal(records.length, maxHistoryLength);
+    assert.equal(records[0].startIndex, 1);
+  });
+});
+
+describe('the hasElementHistory method', () => {
+  it('should only be true once a substitution was made in the element', () => {
+    let element = {};
+    assert(!hasElementHistory(element));
+
+    let history = getElementHistory(element);
+    assert(!hasElementHistory(element));
+
+    history.record([omw], 'On my way! ');
+    assert(hasElementHistory(element));
+  });
+});
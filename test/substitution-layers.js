@@ -0,0 +1,70 @@
+import assert from 'assert';
+import {createSubstitutionLayer, mergeSubstitutions, applySubstitutionLayers,
+  onSubstitutionLayersChanged} from '../src/substitution-layers';
+
+describe('the mergeSubstitutions method', () => {
+  it('should keep the first entry for each replace string', () => {
+    let merged = mergeSubstitutions([
+      [{ replace: 'omw', with: 'On our way!' }],
+      [{ replace: 'omw', with: 'On my way!' }, { replace: 'tm', with: '™' }]
+    ]);
+
+    assert.deepEqual(merged, [
+      { replace: 'omw', with: 'On our way!' },
+      { replace: 'tm', with: '™' }
+    ]);
+  });
+
+  it('should let an entry that is off hide lower entries', () => {
+    let merged = mergeSubstitutions([
+      [{ replace: 'omw', on: false }],
+      [{ replace: 'omw', with: 'On my way!' }]
+    ]);
+
+    assert.deepEqual(merged, [{ replace: 'omw', on: false }]);
+  });
+});
+
+describe('the applySubstitutionLayers method', () => {
+  const textPreferences = {
+    substitutions: [{ replace: 'omw', with: 'On my way!' }, { replace: 'brb', with: 'Be right back' }],
+    useSmartQuotes: true
+  };
+
+  it('should leave the preferences alone without any layers', () => {
+    assert.equal(applySubstitutionLayers(textPreferences), textPreferences);
+  });
+
+  it('should merge layers over the user substitutions, in order', () => {
+    let elementLayer = [{ replace: 'brb', with: 'Be right back, team' }];
+    let appLayer = createSubstitutionLayer([
+      { replace: 'brb', with: 'Be right back!' },
+      { replace: 'omw', on: false },
+      { replace: 'acme', with: 'ACME Corporation™' }
+    ]);
+
+    let result = applySubstitutionLayers(textPreferences, [elementLayer, appLayer]);
+    assert.equal(result.useSmartQuotes, true);
+    assert.deepEqual(result.substitutions, [
+      { replace: 'brb', with: 'Be right back, team' },
+      { replace: 'omw', on: false },
+      { replace: 'acme', with: 'ACME Corporation™' }
+    ]);
+  });
+});
+
+describe('the createSubstitutionLayer method', () => {
+  it('should notify listeners when updated', () => {
+    let layer = createSubstitutionLayer();
+    let notifications = 0;
+    let subscription = onSubstitutionLayersChanged([[], layer], () => notifications++);
+
+    layer.update([{ replace: 'omw', with: 'On my way!' }]);
+    assert.equal(notifications, 1);
+    assert.equal(layer.read()[0].with, 'On my way!');
+
+    subscription.unsubscribe();
+    layer.update([]);
+    assert.equal(notifications, 1);
+  });
+});
@@ -0,0 +1,52 @@
+import assert from 'assert';
+import {createSubstitutionMatcher, getSubstitutionMatcher} from '../src/substitution-matcher';
+import {getReplacementItems, getSubstitutionEdits} from '../src/substitution-engine';
+
+describe('the createSubstitutionMatcher method', () => {
+  const items = [
+    { match: 'omw', regExp: /(^|\s)omw(\s)/u, replacement: 'On my way!' },
+    { match: '(c)', regExp: /()\(c\)(\s)/u, replacement: '©' },
+    { regExp: /()"(\S)/u, replacement: '“' },
+    { match: 'OMG', regExp: /(^|\s)omg(\s)/iu, replacement: 'Oh my god' }
+  ];
+
+  it('should only return items whose string appears in the text, in order', () => {
+    let matcher = createSubstitutionMatcher(items);
+
+    assert.deepEqual(matcher.getCandidates('omw '), [0, 2]);
+    assert.deepEqual(matcher.getCandidates('Copyright(c) '), [1, 2]);
+    assert.deepEqual(matcher.getCandidates('nothing '), [2]);
+  });
+
+  it('should find items in any case', () => {
+    let matcher = createSubstitutionMatcher(items);
+    assert.deepEqual(matcher.getCandidates('omg '), [2, 3]);
+  });
+
+  it('should skip items before the given index', () => {
+    let matcher = createSubstitutionMatcher(items);
+    assert.deepEqual(matcher.getCandidates('omw(c) ', 1), [1, 2]);
+  });
+
+  it('should only compile the same items once', () => {
+    assert.equal(getSubstitutionMatcher(items), getSubstitutionMatcher(items));
+    assert.notEqual(getSubstitutionMatcher(items), getSubstitutionMatcher([...items]));
+  });
+});
+
+describe('the getSubstitutionEdits method with a large dictionary', () => {
+  it('should find the one entry that matches among thousands', () => {
+    let substitutions = [];
+    for (let index = 0; index < 10000; index++) {
+      substitutions.push({ replace: `abbr${index}`, with: `Abbreviation number ${index}` });
+    }
+
+    let items = getReplacementItems({ substitutions, useSmartQuotes: true, useSmartDashes: true });
+
+    let edits = getSubstitutionEdits('see abbr4321 ', 13, items);
+    assert.equal(edits.length, 1);
+    assert.equal(edits[0].replacement, 'Abbreviation number 4321');
+
+    assert.deepEqual(getSubstitutionEdits('see abbr ', 9, items), []);
+  });
+});
@@ -0,0 +1,127 @@
+import assert from 'assert';
+
+import performTextSubstitution from '../src';
+import {typeText, pressKey, pressBackspace, pasteText, composeText, undo, redo,
+  setCaret} from '../src/testing';
+
+// NB: Under electron-mocha there's a real window; under plain mocha
+// (`npm run test-jsdom`), jsdom stands in for it.
+const testWindow = typeof window !== 'undefined' ?
+  window :
+  new (require('jsdom').JSDOM)('<!doctype html><html><body></body></html>').window;
+
+const testDocument = testWindow.document;
+
+describe('the testing helpers', () => {
+  let input, subscription;
+
+  beforeEach(() => {
+    input = testDocument.createElement('input');
+    testDocument.body.appendChild(input);
+  });
+
+  afterEach(() => {
+    if (subscription) subscription.unsubscribe();
+    subscription = null;
+    testDocument.body.removeChild(input);
+  });
+
+  it('should substitute typed text using the given preferences', () => {
+    subscription = performTextSubstitution(input, {
+      substitutions: [{ replace: 'omw', with: 'on my way' }],
+      useSmartQuotes: true
+    });
+
+    typeText(input, 'He said "omw" ');
+    assert.equal(input.value, 'He said “on my way” ');
+  });
+
+  it('should substitute in a textarea and a contenteditable', () => {
+    let textArea = testDocument.createElement('textarea');
+    let editable = testDocument.createElement('div');
+    editable.setAttribute('contenteditable', 'true');
+    testDocument.body.appendChild(textArea);
+    testDocument.body.appendChild(editable);
+
+    let preferences = { substitutions: [{ replace: 'omw', with: 'on my way' }] };
+    let subscriptions = [textArea, editable].map((element) => performTextSubstitution(element, preferences));
+
+    typeText(textArea, 'first\nomw ');
+    assert.equal(textArea.value, 'first\non my way ');
+
+    setCaret(editable);
+    typeText(editable, 'omw.');
+    assert.equal(editable.textContent, 'on my way.');
+
+    subscriptions.forEach((textSubscription) => textSubscription.unsubscribe());
+    testDocument.body.removeChild(textArea);
+    testDocument.body.removeChild(editable);
+  });
+
+  it('should press trigger keys, and report whether they were consumed', () => {
+    subscription = performTextSubstitution(input, { substitutions: [{ replace: 'omw', with: 'on my way' }] }, {
+      triggers: { boundaries: [], keys: ['tab'] }
+    });
+
+    typeText(input, 'omw');
+    assert(pressKey(input, 'enter'));
+    assert(!pressKey(input, 'tab'));
+    assert.equal(input.value, 'on my way');
+  });
+
+  it('should revert a substitution with backspace', () => {
+    subscription = performTextSubstitution(input, { substitutions: [{ replace: 'omw', with: 'on my way' }] }, {
+      revertOnBackspace: true
+    });
+
+    typeText(input, 'omw ');
+    pressBackspace(input);
+    assert.equal(input.value, 'omw ');
+
+    pressBackspace(input);
+    assert.equal(input.value, 'omw');
+  });
+
+  it('should paste text, with or without shift', () => {
+    subscription = performTextSubstitution(input, { substitutions: [], useSmartQuotes: true }, {
+      pasteMode: 'smart'
+    });
+
+    pasteText(input, '"smart" ');
+    pasteText(input, '"plain"', { shiftKey: true });
+    assert.equal(input.value, '“smart” "plain"');
+  });
+
+  it('should compose text, substituting only once it is committed', () => {
+    let events = [];
+    subscription = performTextSubstitution(input, { substitutions: [{ replace: 'omw', with: 'on my way' }] });
+    subscription.events.subscribe(({type}) => events.push(type));
+
+    composeText(input, ['ㅎ', '하', '한']);
+    assert.equal(input.value, '한');
+
+    composeText(input, [' o', ' om', ' omw', ' omw ']);
+    assert.equal(input.value, '한 on my way ');
+    assert.deepEqual(events, ['beforesubstitute', 'substituted']);
+  });
+
+  it('should undo a substitution, then the text that triggered it', () => {
+    subscription = performTextSubstitution(input, { substitutions: [{ replace: 'omw', with: 'on my way' }] });
+
+    typeText(input, 'omw ');
+    assert.equal(input.value, 'on my way ');
+
+    assert(undo(input));
+    assert.equal(input.value, 'omw ');
+
+    assert(undo(input));
+    assert.equal(input.value, 'omw');
+
+    assert(redo(input));
+    assert.equal(input.value, 'omw ');
+
+    typeText(input, 'x');
+    assert(!redo(input));
+    assert.equal(input.value, 'omw x');
+  });
+});